@@ -1,769 +1,6817 @@
-/**
- * Interactive Lighthouse Scene Controller
- * 
- * A modular, performance-optimized JavaScript application that manages
- * an interactive lighthouse scene with day/night themes, dynamic elements,
- * and smooth animations with enhanced three-mode lighthouse system.
- */
-
-class LighthouseScene {
-    constructor() {
-        // Lighthouse modes configuration
-        this.lightModes = ['moving', 'emergency', 'off'];
-        this.currentLightModeIndex = 0; // Start with moving mode
-        
-        // Configuration constants
-        this.CONFIG = {
-            STARS: {
-                COUNT_MOBILE: 120,
-                COUNT_DESKTOP: 200,
-                MIN_SIZE: 0.3,
-                MAX_SIZE: 3.0,
-                MIN_DURATION: 3,
-                MAX_DURATION: 12,
-                MAX_DELAY: 8,
-                MIN_OPACITY: 0.2,
-                MAX_OPACITY: 1.0
-            },
-            SHOOTING_STARS: {
-                COUNT: 5,
-                MAX_DELAY: 20
-            },
-            CLOUDS: {
-                COUNT_MOBILE: 4,
-                COUNT_DESKTOP: 7,
-                MIN_SIZE: 60,
-                MAX_SIZE: 180,
-                MIN_DURATION: 50,
-                MAX_DURATION: 140
-            },
-            BIRDS: {
-                DAY_SPEED: 1.2,
-                NIGHT_SPEED: 0.8,
-                DAY_WAVE_FREQUENCY: 45,
-                NIGHT_WAVE_FREQUENCY: 35,
-                DAY_AMPLITUDE: 12,
-                NIGHT_AMPLITUDE: 10,
-                ANIMATION_INTERVAL: 25,
-                RESET_POSITION: 900,
-                START_POSITION: -200
-            },
-            LIGHTHOUSE: {
-                MODES: {
-                    MOVING: {
-                        ROTATION_SPEED: 10,
-                        PULSE_SPEED: 8,
-                        BEAM_OPACITY: 0.9,
-                        BEAM_BLUR: 3
-                    },
-                    EMERGENCY: {
-                        ROTATION_SPEED: 1.5,
-                        PULSE_SPEED: 0.8,
-                        BEAM_OPACITY: 1.0,
-                        BEAM_BLUR: 5,
-                        FLASH_SPEED: 0.4
-                    },
-                    OFF: {
-                        BEAM_OPACITY: 0,
-                        LANTERN_OPACITY: 0.3
-                    }
-                }
-            },
-            TIMING: {
-                RESIZE_DEBOUNCE: 250,
-                STAGGER_DELAY: 100
-            },
-            AUDIO: {
-                VOLUME: 0.5
-            },
-            BREAKPOINTS: {
-                MOBILE: 768
-            }
-        };
-
-        // DOM element cache
-        this.elements = this.cacheElements();
-
-        // Animation state
-        this.animationState = {
-            birdsInterval: null,
-            birdPositions: { dayX: -100, nightX: 800 },
-            starAnimations: new Map(),
-            beamRotation: 0
-        };
-
-        // Observers and timers
-        this.resizeTimer = null;
-        this.intersectionObserver = null;
-        this.beamAnimationId = null;
-
-        // Bind methods to preserve context
-        this.handleMouseMove = this.handleMouseMove.bind(this);
-        this.handleSoundToggle = this.handleSoundToggle.bind(this);
-        this.handleThemeToggle = this.handleThemeToggle.bind(this);
-        this.handleResize = this.handleResize.bind(this);
-        this.handleScroll = this.handleScroll.bind(this);
-        this.handleLighthouseClick = this.handleLighthouseClick.bind(this);
-        this.animateCustomBeam = this.animateCustomBeam.bind(this);
-    }
-
-    /**
-     * Cache all required DOM elements for performance
-     */
-    cacheElements() {
-        const elements = {};
-        const elementIds = [
-            'starsContainer', 'shootingStarsContainer', 'cloudsContainer',
-            'lightBeam', 'themeToggle', 'oceanSound', 'soundToggle'
-        ];
-
-        elementIds.forEach(id => {
-            elements[id] = document.getElementById(id);
-            if (!elements[id]) {
-                console.warn(`Element with ID '${id}' not found`);
-            }
-        });
-
-        // Additional element queries
-        elements.body = document.body;
-        elements.lighthouse = document.querySelector('.lighthouse');
-        elements.lantern = document.querySelector('.lantern');
-        elements.dayBirds = document.querySelector('.day-birds');
-        elements.nightBirds = document.querySelector('.night-birds');
-        elements.parallaxLayer = document.querySelector('.parallax-layer-back');
-
-        return elements;
-    }
-
-    /**
-     * Initialize the entire scene
-     */
-    init() {
-        try {
-            this.setupEventListeners();
-            this.createSceneElements();
-            this.setupAnimations();
-            this.setupAudio();
-            this.setupAccessibility();
-            this.updateLightMode(); // Initialize lighthouse mode
-            
-            console.log('🏮 Lighthouse scene initialized successfully');
-        } catch (error) {
-            console.error('Failed to initialize lighthouse scene:', error);
-        }
-    }
-
-    /**
-     * Set up all event listeners
-     */
-    setupEventListeners() {
-        // Mouse tracking for dynamic lighting
-        document.addEventListener('mousemove', this.handleMouseMove, { passive: true });
-        
-        // Sound control
-        this.elements.soundToggle?.addEventListener('click', this.handleSoundToggle);
-        
-        // Theme switching
-        this.elements.themeToggle?.addEventListener('click', this.handleThemeToggle);
-        
-        // Window events
-        window.addEventListener('resize', this.handleResize, { passive: true });
-        document.addEventListener('scroll', this.handleScroll, { passive: true });
-        
-        // Smooth scrolling for anchor links
-        this.setupSmoothScrolling();
-        
-        // Lighthouse interaction
-        this.elements.lighthouse?.addEventListener('click', this.handleLighthouseClick);
-        this.elements.lantern?.addEventListener('click', this.handleLighthouseClick);
-    }
-
-    /**
-     * Handle mouse movement for enhanced dynamic lighting
-     */
-    handleMouseMove(e) {
-        requestAnimationFrame(() => {
-            const x = (e.clientX / window.innerWidth) * 100;
-            const y = (e.clientY / window.innerHeight) * 100;
-            
-            document.documentElement.style.setProperty('--mouse-x', `${e.clientX}px`);
-            document.documentElement.style.setProperty('--mouse-y', `${e.clientY}px`);
-            document.documentElement.style.setProperty('--mouse-x-percent', `${x}%`);
-            document.documentElement.style.setProperty('--mouse-y-percent', `${y}%`);
-        });
-    }
-
-    /**
-     * Handle sound toggle with proper state management
-     */
-    handleSoundToggle() {
-        const { oceanSound, soundToggle } = this.elements;
-        if (!oceanSound || !soundToggle) return;
-
-        try {
-            if (oceanSound.paused) {
-                oceanSound.play().then(() => {
-                    soundToggle.textContent = "🔊";
-                    soundToggle.setAttribute('aria-label', 'Mute Sound');
-                }).catch(error => {
-                    console.warn('Audio playback failed:', error);
-                });
-            } else {
-                oceanSound.pause();
-                soundToggle.textContent = "🔇";
-                soundToggle.setAttribute('aria-label', 'Enable Sound');
-            }
-        } catch (error) {
-            console.error('Sound toggle failed:', error);
-        }
-    }
-
-    /**
-     * Handle theme switching with improved state management
-     */
-    handleThemeToggle() {
-        const { body, themeToggle } = this.elements;
-        if (!body || !themeToggle) return;
-
-        const isDarkMode = body.classList.contains('dark-mode');
-        
-        // Toggle theme classes
-        body.classList.toggle('dark-mode', !isDarkMode);
-        body.classList.toggle('light-mode', isDarkMode);
-
-        // Update button appearance and accessibility
-        themeToggle.textContent = isDarkMode ? '☀️' : '🌙';
-        themeToggle.setAttribute('aria-label', `Switch to ${isDarkMode ? 'Dark' : 'Light'} Mode`);
-
-        // Update scene elements for new theme
-        this.updateSceneForTheme();
-        this.updateLightMode(); // Refresh lighthouse mode for new theme
-    }
-
-    /**
-     * Handle lighthouse click interaction - cycles through 3 modes
-     */
-    handleLighthouseClick() {
-        // Cycle to next mode
-        this.currentLightModeIndex = (this.currentLightModeIndex + 1) % this.lightModes.length;
-        this.updateLightMode();
-        
-        // Visual feedback
-        const currentMode = this.lightModes[this.currentLightModeIndex];
-        const modeNames = {
-            'moving': 'Normal Operation',
-            'emergency': 'EMERGENCY MODE!',
-            'off': 'Light Disabled'
-        };
-        
-        console.log(`🏮 Lighthouse: ${modeNames[currentMode]}`);
-        
-        // Add click animation
-        this.elements.lighthouse?.classList.add('lighthouse-clicked');
-        setTimeout(() => {
-            this.elements.lighthouse?.classList.remove('lighthouse-clicked');
-        }, 200);
-    }
-
-    /**
-     * Update lighthouse appearance based on current mode
-     */
-    updateLightMode() {
-        const { lightBeam, lantern, lighthouse } = this.elements;
-        if (!lightBeam || !lantern) return;
-
-        // Clear all mode classes
-        lightBeam.classList.remove('beam-moving', 'beam-emergency', 'beam-off');
-        lantern.classList.remove('emergency-mode', 'beam-off-mode');
-        lighthouse?.classList.remove('lighthouse-emergency');
-
-        // Apply classes based on current mode
-        const currentMode = this.lightModes[this.currentLightModeIndex];
-        
-        switch(currentMode) {
-            case 'moving':
-                lightBeam.classList.add('beam-moving');
-                this.startCustomBeamAnimation();
-                break;
-            case 'emergency':
-                lightBeam.classList.add('beam-emergency');
-                lantern.classList.add('emergency-mode');
-                lighthouse?.classList.add('lighthouse-emergency');
-                this.startEmergencyBeamAnimation();
-                break;
-            case 'off':
-                lightBeam.classList.add('beam-off');
-                lantern.classList.add('beam-off-mode');
-                this.stopCustomBeamAnimation();
-                break;
-        }
-    }
-
-    /**
-     * Start custom beam animation for moving mode
-     */
-    startCustomBeamAnimation() {
-        this.stopCustomBeamAnimation();
-        this.animateCustomBeam();
-    }
-
-    /**
-     * Start emergency beam animation
-     */
-    startEmergencyBeamAnimation() {
-        this.stopCustomBeamAnimation();
-        this.animateEmergencyBeam();
-    }
-
-    /**
-     * Stop custom beam animation
-     */
-    stopCustomBeamAnimation() {
-        if (this.beamAnimationId) {
-            cancelAnimationFrame(this.beamAnimationId);
-            this.beamAnimationId = null;
-        }
-    }
-
-    /**
-     * Custom beam animation for smooth rotation
-     */
-    animateCustomBeam() {
-        const { lightBeam } = this.elements;
-        if (!lightBeam || !lightBeam.classList.contains('beam-moving')) return;
-
-        const time = Date.now() * 0.001;
-        const rotation = Math.sin(time * 0.1) * 40; // Smooth oscillation
-        const opacity = 0.7 + Math.sin(time * 0.3) * 0.3; // Gentle pulsing
-
-        lightBeam.style.transform = `rotate(${rotation}deg)`;
-        lightBeam.style.opacity = opacity;
-
-        this.beamAnimationId = requestAnimationFrame(this.animateCustomBeam);
-    }
-
-    /**
-     * Emergency beam animation with erratic movement
-     */
-    animateEmergencyBeam() {
-        const { lightBeam } = this.elements;
-        if (!lightBeam || !lightBeam.classList.contains('beam-emergency')) return;
-
-        const time = Date.now() * 0.001;
-        const fastRotation = Math.sin(time * 2) * 60 + Math.cos(time * 3) * 20;
-        const flashOpacity = Math.abs(Math.sin(time * 8)) * 0.5 + 0.5;
-
-        lightBeam.style.transform = `rotate(${fastRotation}deg)`;
-        lightBeam.style.opacity = flashOpacity;
-
-        this.beamAnimationId = requestAnimationFrame(() => this.animateEmergencyBeam());
-    }
-
-    /**
-     * Handle window resize with debouncing
-     */
-    handleResize() {
-        clearTimeout(this.resizeTimer);
-        this.resizeTimer = setTimeout(() => {
-            this.createSceneElements();
-        }, this.CONFIG.TIMING.RESIZE_DEBOUNCE);
-    }
-
-    /**
-     * Handle scroll for parallax effect
-     */
-    handleScroll() {
-        if (!this.elements.parallaxLayer) return;
-
-        requestAnimationFrame(() => {
-            const scrollY = window.scrollY;
-            this.elements.parallaxLayer.style.transform = 
-                `translateY(${scrollY * 0.5}px) translateZ(-1px) scale(2)`;
-        });
-    }
-
-    /**
-     * Set up smooth scrolling for anchor links
-     */
-    setupSmoothScrolling() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', (e) => {
-                e.preventDefault();
-                const target = document.querySelector(anchor.getAttribute('href'));
-                target?.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            });
-        });
-    }
-
-    /**
-     * Create all dynamic scene elements
-     */
-    createSceneElements() {
-        this.createEnhancedStars();
-        this.createEnhancedShootingStars();
-        this.createClouds();
-    }
-
-    /**
-     * Update scene elements when theme changes
-     */
-    updateSceneForTheme() {
-        requestAnimationFrame(() => {
-            this.createSceneElements();
-        });
-    }
-
-    /**
-     * Create enhanced stars with improved animations
-     */
-    createEnhancedStars() {
-        const container = this.elements.starsContainer;
-        if (!container || this.elements.body.classList.contains('light-mode')) {
-            container && (container.innerHTML = '');
-            return;
-        }
-
-        const fragment = document.createDocumentFragment();
-        const isMobile = window.innerWidth < this.CONFIG.BREAKPOINTS.MOBILE;
-        const starCount = isMobile ? this.CONFIG.STARS.COUNT_MOBILE : this.CONFIG.STARS.COUNT_DESKTOP;
-
-        // Clear existing stars
-        container.innerHTML = '';
-        this.animationState.starAnimations.clear();
-
-        for (let i = 0; i < starCount; i++) {
-            const star = this.createEnhancedStar(i);
-            fragment.appendChild(star);
-        }
-
-        container.appendChild(fragment);
-    }
-
-    /**
-     * Create individual enhanced star element
-     */
-    createEnhancedStar(index) {
-        const star = document.createElement('div');
-        star.className = 'star animated-element enhanced-star';
-        
-        const size = this.random(this.CONFIG.STARS.MIN_SIZE, this.CONFIG.STARS.MAX_SIZE);
-        const duration = this.random(this.CONFIG.STARS.MIN_DURATION, this.CONFIG.STARS.MAX_DURATION);
-        const delay = Math.random() * this.CONFIG.STARS.MAX_DELAY;
-        const opacity = this.random(this.CONFIG.STARS.MIN_OPACITY, this.CONFIG.STARS.MAX_OPACITY);
-        const x = Math.random() * 100;
-        const y = Math.random() * 100; // Keep stars in upper portion
-
-        // Add special star types
-        const starType = Math.random();
-        if (starType > 0.95) {
-            star.classList.add('bright-star');
-        } else if (starType > 0.85) {
-            star.classList.add('pulsing-star');
-        }
-
-        star.style.cssText = `
-            left: ${x}%;
-            top: ${y}%;
-            width: ${size}px;
-            height: ${size}px;
-            --twinkle-duration: ${duration}s;
-            --twinkle-delay: ${delay}s;
-            --star-opacity: ${opacity};
-            animation: enhancedTwinkle var(--twinkle-duration) infinite var(--twinkle-delay);
-        `;
-
-        return star;
-    }
-
-    /**
-     * Create enhanced shooting stars
-     */
-    createEnhancedShootingStars() {
-        const container = this.elements.shootingStarsContainer;
-        if (!container || this.elements.body.classList.contains('light-mode')) {
-            container && (container.innerHTML = '');
-            return;
-        }
-
-        container.innerHTML = '';
-        
-        for (let i = 0; i < this.CONFIG.SHOOTING_STARS.COUNT; i++) {
-            const shootingStar = this.createShootingStar(i);
-            container.appendChild(shootingStar);
-        }
-    }
-
-    /**
-     * Create individual shooting star
-     */
-    createShootingStar(index) {
-        const shootingStar = document.createElement('div');
-        shootingStar.className = 'shooting-star enhanced-shooting-star';
-        
-        const startX = Math.random() * 120 - 20; // Can start off-screen
-        const startY = Math.random() * 40;
-        const angle = 10 + Math.random() * 30; // Vary the angle
-        const duration = 3 + Math.random() * 4; // Vary duration
-        const delay = Math.random() * this.CONFIG.SHOOTING_STARS.MAX_DELAY;
-
-        shootingStar.style.cssText = `
-            top: ${startY}%;
-            left: ${startX}%;
-            --shooting-duration: ${duration}s;
-            --shooting-delay: ${delay}s;
-            --shooting-angle: ${angle}deg;
-            animation: enhancedShooting var(--shooting-duration) linear infinite var(--shooting-delay);
-        `;
-
-        return shootingStar;
-    }
-
-
-    /**
-     * Create clouds for day mode
-     */
-    createClouds() {
-        const container = this.elements.cloudsContainer;
-        if (!container || !this.elements.body.classList.contains('light-mode')) {
-            container && (container.innerHTML = '');
-            return;
-        }
-
-        container.innerHTML = '';
-        const isMobile = window.innerWidth < this.CONFIG.BREAKPOINTS.MOBILE;
-        const cloudCount = isMobile ? this.CONFIG.CLOUDS.COUNT_MOBILE : this.CONFIG.CLOUDS.COUNT_DESKTOP;
-
-        for (let i = 0; i < cloudCount; i++) {
-            const cloud = document.createElement('div');
-            cloud.className = 'cloud';
-            
-            const size = this.random(this.CONFIG.CLOUDS.MIN_SIZE, this.CONFIG.CLOUDS.MAX_SIZE);
-            const duration = this.random(this.CONFIG.CLOUDS.MIN_DURATION, this.CONFIG.CLOUDS.MAX_DURATION);
-            const opacity = 0.3 + Math.random() * 0.4;
-
-            cloud.style.cssText = `
-                top: ${Math.random() * 40}%;
-                width: ${size}px;
-                height: ${size / 2}px;
-                opacity: ${opacity};
-                animation: cloudDrift ${duration}s linear infinite;
-                animation-delay: -${Math.random() * 60}s;
-            `;
-
-            container.appendChild(cloud);
-        }
-    }
-
-    /**
-     * Set up all animations
-     */
-    setupAnimations() {
-        this.setupStaggeredAnimations();
-        this.animateBirds();
-    }
-
-    /**
-     * Set up staggered entrance animations using Intersection Observer
-     */
-    setupStaggeredAnimations() {
-        const options = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        };
-
-        this.intersectionObserver = new IntersectionObserver((entries) => {
-            entries.forEach((entry, index) => {
-                if (entry.isIntersecting) {
-                    setTimeout(() => {
-                        entry.target.classList.add('visible');
-                    }, index * this.CONFIG.TIMING.STAGGER_DELAY);
-                }
-            });
-        }, options);
-
-        document.querySelectorAll('.staggered-element').forEach(el => {
-            this.intersectionObserver.observe(el);
-        });
-    }
-
-    /**
-     * Animate birds with smooth movement patterns
-     */
-    animateBirds() {
-        const { dayBirds, nightBirds } = this.elements;
-        if (!dayBirds || !nightBirds) return;
-
-        // Clear existing animation if any
-        if (this.animationState.birdsInterval) {
-            clearInterval(this.animationState.birdsInterval);
-        }
-
-        this.animationState.birdsInterval = setInterval(() => {
-            this.updateBirdPositions(dayBirds, nightBirds);
-        }, this.CONFIG.BIRDS.ANIMATION_INTERVAL);
-    }
-
-    /**
-     * Update bird positions with sine wave motion
-     */
-    updateBirdPositions(dayBirds, nightBirds) {
-        const { birdPositions } = this.animationState;
-        
-        // Day birds movement (left to right)
-        birdPositions.dayX = (birdPositions.dayX + this.CONFIG.BIRDS.DAY_SPEED) % this.CONFIG.BIRDS.RESET_POSITION;
-        const dayY = Math.sin(birdPositions.dayX / this.CONFIG.BIRDS.DAY_WAVE_FREQUENCY) * this.CONFIG.BIRDS.DAY_AMPLITUDE;
-        dayBirds.style.transform = `translateX(${birdPositions.dayX}px) translateY(${dayY}px)`;
-
-        // Night birds movement (right to left)
-        birdPositions.nightX -= this.CONFIG.BIRDS.NIGHT_SPEED;
-        if (birdPositions.nightX < this.CONFIG.BIRDS.START_POSITION) {
-            birdPositions.nightX = this.CONFIG.BIRDS.RESET_POSITION;
-        }
-
-        const nightY = Math.sin(birdPositions.nightX / this.CONFIG.BIRDS.NIGHT_WAVE_FREQUENCY) * this.CONFIG.BIRDS.NIGHT_AMPLITUDE;
-        nightBirds.style.transform = `translateX(${birdPositions.nightX}px) translateY(${nightY}px)`;
-    }
-
-    /**
-     * Set up audio with proper error handling
-     */
-    setupAudio() {
-        const { oceanSound, soundToggle } = this.elements;
-        if (!oceanSound || !soundToggle) return;
-
-        try {
-            oceanSound.volume = this.CONFIG.AUDIO.VOLUME;
-            
-            // Set initial state
-            soundToggle.textContent = "🔇";
-            soundToggle.setAttribute('aria-label', 'Enable Sound');
-
-            // Handle audio loading errors
-            oceanSound.addEventListener('error', (e) => {
-                console.warn('Audio failed to load:', e);
-                soundToggle.style.display = 'none'; // Hide if audio unavailable
-            });
-        } catch (error) {
-            console.error('Audio setup failed:', error);
-        }
-    }
-
-    /**
-     * Set up accessibility features
-     */
-    setupAccessibility() {
-        // Respect user's motion preferences
-        const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
-        
-        if (prefersReducedMotion.matches) {
-            document.documentElement.style.setProperty('--animation-duration', '0.01ms');
-            this.stopCustomBeamAnimation();
-        }
-
-        // Listen for changes in motion preference
-        prefersReducedMotion.addEventListener('change', (e) => {
-            const duration = e.matches ? '0.01ms' : 'initial';
-            document.documentElement.style.setProperty('--animation-duration', duration);
-            
-            if (e.matches) {
-                this.stopCustomBeamAnimation();
-            } else {
-                this.updateLightMode();
-            }
-        });
-    }
-
-    /**
-     * Utility method for generating random numbers in range
-     */
-    random(min, max) {
-        return Math.random() * (max - min) + min;
-    }
-
-    /**
-     * Clean up resources when destroying the scene
-     */
-    destroy() {
-        // Clear timers
-        if (this.resizeTimer) clearTimeout(this.resizeTimer);
-        if (this.animationState.birdsInterval) clearInterval(this.animationState.birdsInterval);
-        
-        // Stop custom animations
-        this.stopCustomBeamAnimation();
-        
-        // Disconnect observers
-        if (this.intersectionObserver) this.intersectionObserver.disconnect();
-        
-        // Remove event listeners
-        document.removeEventListener('mousemove', this.handleMouseMove);
-        window.removeEventListener('resize', this.handleResize);
-        document.removeEventListener('scroll', this.handleScroll);
-        
-        console.log('🏮 Lighthouse scene destroyed');
-    }
-}
-
-/**
- * Initialize the lighthouse scene when DOM is ready
- */
-document.addEventListener('DOMContentLoaded', () => {
-    const scene = new LighthouseScene();
-    scene.init();
-    
-    // Make scene available globally for debugging (optional)
-    if (typeof process !== 'undefined' && process.env && process.env.NODE_ENV === 'development') {
-        window.lighthouseScene = scene;
-    }
-});
-
-/**
- * Handle page unload cleanup
- */
-window.addEventListener('beforeunload', () => {
-    if (window.lighthouseScene) {
-        window.lighthouseScene.destroy();
-    }
-});
-
-// Experience message fade out
-setTimeout(() => {
-    const msg = document.getElementById("experience-message");
-    if (msg) {
-        msg.style.opacity = "0";
-        setTimeout(() => msg.remove(), 1000);
-    }
-}, 3000);
-
-// Fullscreen toggle functionality
-document.addEventListener('DOMContentLoaded', () => {
-    const fullscreenButton = document.getElementById("right-button");
-
-    const toggleFullscreen = () => {
-        if (!document.fullscreenElement) {
-            document.documentElement.requestFullscreen().catch(err => {
-                alert(`Error attempting to enable full-screen mode: ${err.message}`);
-            });
-        } else {
-            document.exitFullscreen();
-        }
-    };
-
-    // Button click
-    if (fullscreenButton) {
-        fullscreenButton.addEventListener("click", toggleFullscreen);
-    }
-
-    // Press 'F' key
-    document.addEventListener("keydown", (event) => {
-        if (event.key === "f" || event.key === "F") {
-            toggleFullscreen();
-        }
-    });
-});
-document.addEventListener("DOMContentLoaded", () => {
-  // Hide the welcome message after 5 seconds
-  setTimeout(() => {
-    const msg = document.getElementById("welcome-message");
-    if (msg) msg.style.opacity = "0";
-  }, 5000);
-});
\ No newline at end of file
+/**
+ * Interactive Lighthouse Scene Controller
+ * 
+ * A modular, performance-optimized JavaScript application that manages
+ * an interactive lighthouse scene with day/night themes, dynamic elements,
+ * and smooth animations with enhanced three-mode lighthouse system.
+ */
+
+/**
+ * Nautical light characteristic parsed from standard chart notation
+ * (e.g. "Fl(3) W 15s", "Oc 6s", "Iso 4s", "Mo(U) 15s").
+ *
+ * The characteristic is expanded into an on/off timeline that repeats
+ * every period, which the beam engine samples each frame.
+ */
+class LightCharacteristic {
+    static TIMING = {
+        FLASH: 0.5,
+        LONG_FLASH: 2,
+        ECLIPSE: 1,
+        GROUP_SEPARATION: 2,
+        QUICK: { ON: 0.3, OFF: 0.7 },
+        VERY_QUICK: { ON: 0.2, OFF: 0.3 },
+        MORSE: { DOT: 0.5, DASH: 1.5, GAP: 0.5, LETTER_GAP: 1.5 }
+    };
+
+    static COLORS = { W: 'white', R: 'red', G: 'green', Y: 'yellow' };
+
+    static MORSE_CODE = {
+        A: '.-', B: '-...', C: '-.-.', D: '-..', E: '.', F: '..-.', G: '--.',
+        H: '....', I: '..', J: '.---', K: '-.-', L: '.-..', M: '--', N: '-.',
+        O: '---', P: '.--.', Q: '--.-', R: '.-.', S: '...', T: '-', U: '..-',
+        V: '...-', W: '.--', X: '-..-', Y: '-.--', Z: '--..'
+    };
+
+    /**
+     * Parse chart notation into a characteristic, throwing on invalid input
+     */
+    static parse(notation) {
+        const match = /^\s*(VQ|Q|LFl|Fl|Oc|Iso|Mo|F)\.?\s*(?:\(([^)]+)\))?\s*([WRGY])?\s*(?:(\d+(?:\.\d+)?)\s*s)?\s*$/i
+            .exec(String(notation));
+        if (!match) {
+            throw new Error(`Unrecognised light characteristic: '${notation}'`);
+        }
+
+        const types = { vq: 'VQ', q: 'Q', lfl: 'LFl', fl: 'Fl', oc: 'Oc', iso: 'Iso', mo: 'Mo', f: 'F' };
+        const [, rawType, group, color = 'W', period] = match;
+
+        return new LightCharacteristic({
+            notation: String(notation).trim(),
+            type: types[rawType.toLowerCase()],
+            group: group ? group.trim() : null,
+            color: color.toUpperCase(),
+            period: period ? parseFloat(period) : null
+        });
+    }
+
+    constructor({ notation, type, group, color, period }) {
+        this.notation = notation;
+        this.type = type;
+        this.group = group;
+        this.color = color;
+        this.colorName = LightCharacteristic.COLORS[color];
+        this.phases = this.buildPhases(period);
+        this.period = this.phases.reduce((total, phase) => total + phase.duration, 0);
+    }
+
+    /**
+     * Expand the characteristic into consecutive { on, duration } phases
+     */
+    buildPhases(period) {
+        const { TIMING } = LightCharacteristic;
+        const phases = [];
+        const push = (on, duration) => phases.push({ on, duration });
+
+        switch (this.type) {
+            case 'F':
+                return [{ on: true, duration: period || 1 }];
+
+            case 'Iso':
+                this.requirePeriod(period);
+                return [{ on: true, duration: period / 2 }, { on: false, duration: period / 2 }];
+
+            case 'Fl':
+            case 'LFl':
+            case 'Q':
+            case 'VQ': {
+                const quick = { Q: TIMING.QUICK, VQ: TIMING.VERY_QUICK }[this.type];
+                const flash = quick ? quick.ON : (this.type === 'LFl' ? TIMING.LONG_FLASH : TIMING.FLASH);
+                const eclipse = quick ? quick.OFF : TIMING.ECLIPSE;
+
+                if (quick && !this.group) {
+                    // Continuous quick flashes need no period; an explicit one must still fit
+                    push(true, flash);
+                    if (!period) {
+                        push(false, eclipse);
+                        return phases;
+                    }
+                    break;
+                }
+
+                this.parseGroups().forEach((count, groupIndex) => {
+                    if (groupIndex > 0) push(false, TIMING.GROUP_SEPARATION - eclipse);
+                    for (let i = 0; i < count; i++) {
+                        if (i > 0 || groupIndex > 0) push(false, eclipse);
+                        push(true, flash);
+                    }
+                });
+                break;
+            }
+
+            case 'Oc':
+                this.parseGroups().forEach((count, groupIndex) => {
+                    if (groupIndex > 0) push(true, TIMING.GROUP_SEPARATION);
+                    for (let i = 0; i < count; i++) {
+                        if (i > 0) push(true, TIMING.ECLIPSE);
+                        push(false, TIMING.ECLIPSE);
+                    }
+                });
+                break;
+
+            case 'Mo':
+                this.parseMorse().forEach((letter, letterIndex) => {
+                    if (letterIndex > 0) push(false, TIMING.MORSE.LETTER_GAP);
+                    letter.split('').forEach((symbol, i) => {
+                        if (i > 0) push(false, TIMING.MORSE.GAP);
+                        push(true, symbol === '-' ? TIMING.MORSE.DASH : TIMING.MORSE.DOT);
+                    });
+                });
+                break;
+        }
+
+        this.requirePeriod(period);
+        const active = phases.reduce((total, phase) => total + phase.duration, 0);
+        if (active >= period) {
+            throw new Error(`Light characteristic '${this.notation}' does not fit in a ${period}s period`);
+        }
+
+        // Remaining time closes the cycle: dark for flashing lights, lit for occulting ones
+        push(this.type === 'Oc', period - active);
+        return phases;
+    }
+
+    requirePeriod(period) {
+        if (!period) {
+            throw new Error(`Light characteristic '${this.notation}' needs a period (e.g. '10s')`);
+        }
+    }
+
+    /**
+     * Flash groups such as "3" or "2+1"; a missing group means single flashes
+     */
+    parseGroups() {
+        if (!this.group) return [1];
+
+        const groups = this.group.split('+').map(count => parseInt(count, 10));
+        if (groups.some(count => !Number.isInteger(count) || count < 1)) {
+            throw new Error(`Invalid flash group '${this.group}' in '${this.notation}'`);
+        }
+        return groups;
+    }
+
+    /**
+     * Morse letters such as "U" or "AR" expanded to dot/dash strings
+     */
+    parseMorse() {
+        const letters = (this.group || '').toUpperCase().split('');
+        if (!letters.length || letters.some(letter => !LightCharacteristic.MORSE_CODE[letter])) {
+            throw new Error(`Invalid Morse letters '${this.group}' in '${this.notation}'`);
+        }
+        return letters.map(letter => LightCharacteristic.MORSE_CODE[letter]);
+    }
+
+    /**
+     * Light intensity (0-1) at a time in seconds, with short fades at phase edges
+     */
+    intensityAt(time, fade = 0) {
+        if (this.type === 'F') return 1;
+
+        let t = ((time % this.period) + this.period) % this.period;
+
+        for (const phase of this.phases) {
+            if (t < phase.duration) {
+                if (!phase.on) return 0;
+                const edge = Math.min(fade, phase.duration / 2);
+                return edge > 0 ? Math.min(1, t / edge, (phase.duration - t) / edge) : 1;
+            }
+            t -= phase.duration;
+        }
+
+        return 0;
+    }
+}
+
+/**
+ * Scene configuration: defaults, deep-merged overrides and validation.
+ *
+ * Overrides come from a constructor options object ({ STARS: { COUNT_DESKTOP: 300 } })
+ * or from data-* attributes on the scene root, where each config path is written
+ * in kebab case (data-stars-count-desktop="300", data-audio-volume="0.3").
+ * Unknown keys and out-of-range values are reported with console.warn.
+ */
+class SceneConfig {
+    static DEFAULTS = {
+        RENDERER: 'dom', // 'dom' (an element per star/cloud) or 'canvas' (one Canvas 2D layer)
+        STARS: {
+            COUNT_MOBILE: 120,
+            COUNT_DESKTOP: 200,
+            MIN_SIZE: 0.3,
+            MAX_SIZE: 3.0,
+            MIN_DURATION: 3,
+            MAX_DURATION: 12,
+            MAX_DELAY: 8,
+            MIN_OPACITY: 0.2,
+            MAX_OPACITY: 1.0
+        },
+        SHOOTING_STARS: {
+            COUNT: 5,
+            MAX_DELAY: 20
+        },
+        CLOUDS: {
+            COUNT_MOBILE: 4,
+            COUNT_DESKTOP: 7,
+            MIN_SIZE: 60,
+            MAX_SIZE: 180,
+            MIN_DURATION: 50,
+            MAX_DURATION: 140
+        },
+        SEA: {
+            SWELL_HEIGHT: 5,   // Pixels the waves rise and fall in a clear sea; rougher weather raises them
+            SWELL_PERIOD: 9,   // Seconds from one crest to the next
+            TIDE_RANGE: 0.04,  // High water above low water, as a fraction of the scene height
+            TIDE_LAG: 2,       // Hours high water follows the moon across the meridian (lunitidal interval)
+            REFLECTION: true,  // Sun and moon reflected on the water
+            GLINT: 0.8         // Strength of the beam's glint on the water; 0 turns it off
+        },
+        BIRDS: {
+            ENABLED: true,
+            MAX_FLOCKS: 2,
+            SPAWN_MIN_INTERVAL: 6000,  // ms between flocks
+            SPAWN_MAX_INTERVAL: 18000,
+            PIXELS_PER_BIRD: 90,       // Flock size grows by one bird per this many pixels of scene width
+            MIN_FLOCK_SIZE: 3,
+            MAX_FLOCK_SIZE: 14,
+            SPEED: 0.07,               // Cruising speed as a fraction of the scene width per second
+            MAX_SPEED: 0.12,
+            SKY_TOP: 0.06,             // Band the flocks keep to, as fractions of the scene height
+            SKY_BOTTOM: 0.5,
+            NEIGHBOR_RADIUS: 80,       // Pixels within which birds align and gather
+            SEPARATION_RADIUS: 22,     // Pixels each bird keeps clear of the next
+            SEPARATION: 1.5,           // Rule weights
+            ALIGNMENT: 1,
+            COHESION: 0.8,
+            AVOID_RADIUS: 50,          // Pixels kept clear around the lighthouse and the lit beam
+            FLAP_DURATION: 320         // ms per wingbeat
+        },
+        SKY_EVENTS: {
+            ENABLED: true,
+            FREQUENCY: 1,              // Scales how often every event comes; 0 turns them off
+            AURORA_INTERVAL: 900000,   // Mean time between aurora displays (ms)
+            AURORA_DURATION: 90000,
+            SHOWERS: 'random',         // 'random', 'annual' (Perseids, Geminids, … on their real dates) or 'off'
+            SHOWER_INTERVAL: 300000,   // Mean time between random meteor showers (ms)
+            SHOWER_DURATION: 40000,
+            SHOWER_RATE: 30,           // Meteors a minute at a shower's peak; an annual shower as strong as the Perseids, radiant overhead
+            CRAFT_INTERVAL: 60000,     // Mean time between satellites or aircraft crossing the sky (ms)
+            SATELLITE_SHARE: 0.4       // Fraction of crossings that are satellites rather than aircraft
+        },
+        LIGHTHOUSE: {
+            MODES: {
+                MOVING: {
+                    ROTATION_SPEED: 10,
+                    PULSE_SPEED: 8,
+                    BEAM_OPACITY: 0.9,
+                    BEAM_BLUR: 3,
+                    BEAM_SWEEP: 40,
+                    CHARACTERISTIC: null, // e.g. 'Fl(3) W 15s'
+                    CHARACTERISTIC_FADE: 0.15
+                },
+                EMERGENCY: {
+                    ROTATION_SPEED: 1.5,
+                    PULSE_SPEED: 0.8,
+                    BEAM_OPACITY: 1.0,
+                    BEAM_BLUR: 5,
+                    FLASH_SPEED: 0.4
+                },
+                OFF: {
+                    BEAM_OPACITY: 0,
+                    LANTERN_OPACITY: 0.3
+                },
+                MANUAL: {
+                    BEAM_OPACITY: 0.85,
+                    MAX_ANGLE: 80,    // Furthest the beam can be swung either way (degrees)
+                    AIM_RESPONSE: 6,  // How quickly the beam follows the aim; higher is snappier
+                    KEY_STEP: 5       // Degrees per arrow key press
+                }
+            }
+        },
+        SHIPS: {
+            ENABLED: true,
+            MAX: 3,
+            SPAWN_MIN_INTERVAL: 8000,
+            SPAWN_MAX_INTERVAL: 20000,
+            SPEED: 0.02,          // Fraction of the scene width per second
+            LANE_TOP: 0.76,       // Sea band the ships sail in, as fractions of the scene height
+            LANE_BOTTOM: 0.92,
+            DRIFT_DELAY: 8000,    // Time unlit in the dark before a ship sets course for the rocks
+            TURN_RATE: 0.35,      // Radians per second
+            ROCKS_RADIUS: 40,     // Pixels from the rocks below the lighthouse that count as aground
+            SIGNAL_DURATION: 3000,
+            AGROUND_DURATION: 6000
+        },
+        TIMING: {
+            RESIZE_DEBOUNCE: 250,
+            STAGGER_DELAY: 100,
+            TIME_SCALE: 1 // Animation speed: 0.5 is slow motion, 2 is double speed
+        },
+        AUDIO: {
+            VOLUME: 0.5,
+            // Channel levels mixed under the master volume
+            SURF_LEVEL: 1,
+            GULLS_LEVEL: 0.6,
+            FOGHORN_LEVEL: 0.8,
+            WEATHER_LEVEL: 0.9,
+            GULL_MIN_INTERVAL: 6000,
+            GULL_MAX_INTERVAL: 20000
+        },
+        WEATHER: {
+            TRANSITION: 2000,
+            RAIN_DROPS_MOBILE: 60,
+            RAIN_DROPS_DESKTOP: 140,
+            LIGHTNING_MIN_INTERVAL: 5000,
+            LIGHTNING_MAX_INTERVAL: 16000,
+            THUNDER_MAX_DELAY: 4000,
+            FOG_CHARACTERISTIC: 'Fl(2) W 10s', // Beam used while fog is in
+            FOGHORN_INTERVAL: 20000 // Also sounded in emergency mode
+        },
+        DAYLIGHT: {
+            LATITUDE: 50.1,    // Observer location for the sun, moon and star positions
+            LONGITUDE: -5.2,
+            UPDATE_INTERVAL: 30000
+        },
+        SKY: {
+            CATALOGUE: false,          // Real bright stars instead of random ones
+            CONSTELLATION_LINES: true,
+            VIEW_AZIMUTH: 180,         // Compass direction at the centre of the scene
+            FIELD_OF_VIEW: 240,
+            ALTITUDE_SPAN: 75          // Altitude shown at the top of the sky
+        },
+        BREAKPOINTS: {
+            MOBILE: 768
+        },
+        THEMES: {
+            TRANSITION: 1500, // Crossfade between themes (ms)
+            CYCLE: 'dark light sunset polar-night stormy' // Themes the toggle button and T step through
+        },
+        PREFERENCES: {
+            ENABLED: true, // Remember theme, light mode, lamp intensity, schedule, volume, reduced motion and weather
+            KEY: 'lighthouse-scene:preferences' // Give scenes their own key to keep their preferences apart
+        },
+        GESTURES: {
+            ENABLED: true,     // Touch and pen gestures; mouse behaviour is unaffected
+            SWIPE_HOURS: 12,   // Hours of the day scrubbed by a swipe across the full scene
+            LONG_PRESS: 500,   // Hold on the lantern this long (ms) to open the mode menu
+            MAX_ZOOM: 2.5,     // Largest pinch zoom of the parallax layers
+            TILT: true,        // Device-orientation parallax where the device supports it
+            TILT_RANGE: 20,    // Pixels a layer at depth 1 shifts at full tilt (within PARALLAX.MAX_SHIFT)
+            TILT_MAX_ANGLE: 30 // Degrees of tilt for full travel
+        },
+        PARALLAX: {
+            ENABLED: true,
+            MAX_SHIFT: 30,     // Pixels a layer at depth ±1 moves at most; no layer moves further
+            RESPONSE: 4,       // How quickly layers catch up with the pointer, scroll and tilt (per second)
+            POINTER: true,     // Follow the mouse
+            SCROLL: true,      // Follow the scene's position in the page
+            DEPTHS: {          // Negative layers lie behind the lighthouse and move with the viewer, positive ones in front
+                STARS: -0.6,
+                SKY: -0.45,    // Sun, moon and aurora
+                CLOUDS: -0.3,
+                BIRDS: 0.2,
+                LIGHTHOUSE: 0, // Lighthouse and shore
+                WAVES: 0.5,
+                SEA: 0.7       // Sea and ships
+            }
+        },
+        EXPORT: {
+            DURATION: 5,           // Seconds of scene captured by export()
+            FPS: 30,
+            SCALE: 1,              // Video and frame size relative to the scene on screen
+            STILL_SCALE: 2,        // Still PNG size relative to the scene on screen
+            VIDEO_BITRATE: 8000000
+        },
+        KEYBOARD: {
+            ENABLED: true,
+            GLOBAL: true // Shortcuts work anywhere on the page, not only with focus in the scene
+        },
+        KEEPER: {
+            PANEL: true,           // Keeper's control panel button and the K shortcut
+            SCHEDULE: '',          // Daily light modes by local time, e.g. '18:00 moving, 21:00 emergency, 21:15 moving'
+            CHECK_INTERVAL: 10000  // How often the schedule is checked against the real clock (ms)
+        }
+    };
+
+    // Allowed [min, max] for numeric settings; out-of-range values are clamped
+    static RANGES = {
+        'STARS.COUNT_MOBILE': [0, 1000],
+        'STARS.COUNT_DESKTOP': [0, 1000],
+        'STARS.MIN_SIZE': [0.1, 10],
+        'STARS.MAX_SIZE': [0.1, 10],
+        'STARS.MIN_DURATION': [0.5, 60],
+        'STARS.MAX_DURATION': [0.5, 60],
+        'STARS.MAX_DELAY': [0, 60],
+        'STARS.MIN_OPACITY': [0, 1],
+        'STARS.MAX_OPACITY': [0, 1],
+        'SHOOTING_STARS.COUNT': [0, 50],
+        'SHOOTING_STARS.MAX_DELAY': [0, 120],
+        'CLOUDS.COUNT_MOBILE': [0, 50],
+        'CLOUDS.COUNT_DESKTOP': [0, 50],
+        'CLOUDS.MIN_SIZE': [10, 600],
+        'CLOUDS.MAX_SIZE': [10, 600],
+        'CLOUDS.MIN_DURATION': [5, 600],
+        'CLOUDS.MAX_DURATION': [5, 600],
+        'SEA.SWELL_HEIGHT': [0, 40],
+        'SEA.SWELL_PERIOD': [1, 30],
+        'SEA.TIDE_RANGE': [0, 0.15],
+        'SEA.TIDE_LAG': [0, 12.42],
+        'SEA.GLINT': [0, 1],
+        'BIRDS.MAX_FLOCKS': [0, 6],
+        'BIRDS.SPAWN_MIN_INTERVAL': [500, 120000],
+        'BIRDS.SPAWN_MAX_INTERVAL': [500, 120000],
+        'BIRDS.PIXELS_PER_BIRD': [20, 1000],
+        'BIRDS.MIN_FLOCK_SIZE': [1, 40],
+        'BIRDS.MAX_FLOCK_SIZE': [1, 40],
+        'BIRDS.SPEED': [0.005, 0.5],
+        'BIRDS.MAX_SPEED': [0.005, 0.5],
+        'BIRDS.SKY_TOP': [0, 1],
+        'BIRDS.SKY_BOTTOM': [0, 1],
+        'BIRDS.NEIGHBOR_RADIUS': [10, 400],
+        'BIRDS.SEPARATION_RADIUS': [2, 200],
+        'BIRDS.SEPARATION': [0, 10],
+        'BIRDS.ALIGNMENT': [0, 10],
+        'BIRDS.COHESION': [0, 10],
+        'BIRDS.AVOID_RADIUS': [0, 400],
+        'BIRDS.FLAP_DURATION': [80, 2000],
+        'SKY_EVENTS.FREQUENCY': [0, 20],
+        'SKY_EVENTS.AURORA_INTERVAL': [10000, 7200000],
+        'SKY_EVENTS.AURORA_DURATION': [5000, 600000],
+        'SKY_EVENTS.SHOWER_INTERVAL': [10000, 7200000],
+        'SKY_EVENTS.SHOWER_DURATION': [5000, 600000],
+        'SKY_EVENTS.SHOWER_RATE': [1, 600],
+        'SKY_EVENTS.CRAFT_INTERVAL': [5000, 3600000],
+        'SKY_EVENTS.SATELLITE_SHARE': [0, 1],
+        'LIGHTHOUSE.MODES.MOVING.BEAM_OPACITY': [0, 1],
+        'LIGHTHOUSE.MODES.MOVING.BEAM_SWEEP': [0, 90],
+        'LIGHTHOUSE.MODES.MOVING.CHARACTERISTIC_FADE': [0, 2],
+        'LIGHTHOUSE.MODES.EMERGENCY.BEAM_OPACITY': [0, 1],
+        'LIGHTHOUSE.MODES.EMERGENCY.FLASH_SPEED': [0.05, 10],
+        'LIGHTHOUSE.MODES.OFF.BEAM_OPACITY': [0, 1],
+        'LIGHTHOUSE.MODES.OFF.LANTERN_OPACITY': [0, 1],
+        'LIGHTHOUSE.MODES.MANUAL.BEAM_OPACITY': [0, 1],
+        'LIGHTHOUSE.MODES.MANUAL.MAX_ANGLE': [0, 180],
+        'LIGHTHOUSE.MODES.MANUAL.AIM_RESPONSE': [0.1, 60],
+        'LIGHTHOUSE.MODES.MANUAL.KEY_STEP': [0.5, 45],
+        'SHIPS.MAX': [0, 20],
+        'SHIPS.SPAWN_MIN_INTERVAL': [1000, 300000],
+        'SHIPS.SPAWN_MAX_INTERVAL': [1000, 300000],
+        'SHIPS.SPEED': [0.001, 0.5],
+        'SHIPS.LANE_TOP': [0, 1],
+        'SHIPS.LANE_BOTTOM': [0, 1],
+        'SHIPS.DRIFT_DELAY': [0, 300000],
+        'SHIPS.TURN_RATE': [0.01, 10],
+        'SHIPS.ROCKS_RADIUS': [5, 500],
+        'SHIPS.SIGNAL_DURATION': [0, 60000],
+        'SHIPS.AGROUND_DURATION': [0, 60000],
+        'TIMING.RESIZE_DEBOUNCE': [0, 5000],
+        'TIMING.STAGGER_DELAY': [0, 5000],
+        'TIMING.TIME_SCALE': [0.1, 10],
+        'AUDIO.VOLUME': [0, 1],
+        'AUDIO.SURF_LEVEL': [0, 1],
+        'AUDIO.GULLS_LEVEL': [0, 1],
+        'AUDIO.FOGHORN_LEVEL': [0, 1],
+        'AUDIO.WEATHER_LEVEL': [0, 1],
+        'AUDIO.GULL_MIN_INTERVAL': [1000, 120000],
+        'AUDIO.GULL_MAX_INTERVAL': [1000, 120000],
+        'WEATHER.TRANSITION': [0, 20000],
+        'WEATHER.RAIN_DROPS_MOBILE': [0, 500],
+        'WEATHER.RAIN_DROPS_DESKTOP': [0, 500],
+        'WEATHER.LIGHTNING_MIN_INTERVAL': [500, 120000],
+        'WEATHER.LIGHTNING_MAX_INTERVAL': [500, 120000],
+        'WEATHER.THUNDER_MAX_DELAY': [0, 20000],
+        'WEATHER.FOGHORN_INTERVAL': [2000, 120000],
+        'DAYLIGHT.LATITUDE': [-90, 90],
+        'DAYLIGHT.LONGITUDE': [-180, 180],
+        'DAYLIGHT.UPDATE_INTERVAL': [1000, 3600000],
+        'SKY.VIEW_AZIMUTH': [0, 360],
+        'SKY.FIELD_OF_VIEW': [30, 360],
+        'SKY.ALTITUDE_SPAN': [10, 90],
+        'BREAKPOINTS.MOBILE': [0, 10000],
+        'THEMES.TRANSITION': [0, 10000],
+        'GESTURES.SWIPE_HOURS': [0, 48],
+        'GESTURES.LONG_PRESS': [200, 5000],
+        'GESTURES.MAX_ZOOM': [1, 5],
+        'GESTURES.TILT_RANGE': [0, 200],
+        'GESTURES.TILT_MAX_ANGLE': [5, 90],
+        'PARALLAX.MAX_SHIFT': [0, 200],
+        'PARALLAX.RESPONSE': [0.5, 30],
+        'PARALLAX.DEPTHS.STARS': [-1, 1],
+        'PARALLAX.DEPTHS.SKY': [-1, 1],
+        'PARALLAX.DEPTHS.CLOUDS': [-1, 1],
+        'PARALLAX.DEPTHS.BIRDS': [-1, 1],
+        'PARALLAX.DEPTHS.LIGHTHOUSE': [-0.25, 0.25], // Keeps the lighthouse anchored
+        'PARALLAX.DEPTHS.WAVES': [-1, 1],
+        'PARALLAX.DEPTHS.SEA': [-1, 1],
+        'EXPORT.DURATION': [0.1, 600],
+        'EXPORT.FPS': [1, 60],
+        'EXPORT.SCALE': [0.1, 8],
+        'EXPORT.STILL_SCALE': [0.1, 8],
+        'EXPORT.VIDEO_BITRATE': [100000, 100000000],
+        'KEEPER.CHECK_INTERVAL': [1000, 600000]
+    };
+
+    // Allowed values for string settings; anything else falls back to the default
+    static CHOICES = {
+        'RENDERER': ['dom', 'canvas'],
+        'SKY_EVENTS.SHOWERS': ['random', 'annual', 'off']
+    };
+
+    // Scene data attributes that are not config paths
+    static RESERVED_ATTRIBUTES = ['lighthouseScene', 'theme', 'lightMode', 'weather', 'seed'];
+
+    /**
+     * Build a scene config from the defaults plus dataset and options overrides
+     */
+    static resolve(dataset = {}, overrides = {}) {
+        const config = structuredClone(SceneConfig.DEFAULTS);
+        SceneConfig.merge(config, SceneConfig.fromDataset(dataset));
+        SceneConfig.merge(config, overrides);
+        return config;
+    }
+
+    /**
+     * Deep-merge validated overrides into a config object in place
+     */
+    static merge(target, overrides, path = '') {
+        Object.entries(overrides || {}).forEach(([key, value]) => {
+            const keyPath = path ? `${path}.${key}` : key;
+
+            if (!Object.prototype.hasOwnProperty.call(target, key)) {
+                console.warn(`Unknown scene config key '${keyPath}'`);
+                return;
+            }
+
+            if (SceneConfig.isPlainObject(target[key])) {
+                if (SceneConfig.isPlainObject(value)) {
+                    SceneConfig.merge(target[key], value, keyPath);
+                } else {
+                    console.warn(`Scene config '${keyPath}' expects an object, got`, value);
+                }
+                return;
+            }
+
+            target[key] = SceneConfig.validate(keyPath, value, target[key]);
+        });
+
+        return target;
+    }
+
+    /**
+     * Check an override against the default's type and the allowed range
+     */
+    static validate(keyPath, value, fallback) {
+        if (typeof fallback === 'boolean') {
+            if (typeof value !== 'boolean') {
+                console.warn(`Scene config '${keyPath}' expects true or false, got`, value);
+                return fallback;
+            }
+            return value;
+        }
+
+        if (typeof fallback === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                console.warn(`Scene config '${keyPath}' expects a number, got`, value);
+                return fallback;
+            }
+
+            const range = SceneConfig.RANGES[keyPath];
+            if (range && (value < range[0] || value > range[1])) {
+                const clamped = Math.min(Math.max(value, range[0]), range[1]);
+                console.warn(`Scene config '${keyPath}' = ${value} is outside [${range[0]}, ${range[1]}]; using ${clamped}`);
+                return clamped;
+            }
+            return value;
+        }
+
+        if (value !== null && typeof value !== 'string') {
+            console.warn(`Scene config '${keyPath}' expects a string, got`, value);
+            return fallback;
+        }
+
+        const choices = SceneConfig.CHOICES[keyPath];
+        if (choices && !choices.includes(value)) {
+            console.warn(`Scene config '${keyPath}' expects one of ${choices.join(', ')}, got`, value);
+            return fallback;
+        }
+        return value;
+    }
+
+    /**
+     * Turn data-* attributes (data-stars-count-desktop="300") into config overrides
+     */
+    static fromDataset(dataset) {
+        const overrides = {};
+        const paths = SceneConfig.leafPaths(SceneConfig.DEFAULTS);
+        const sections = Object.keys(SceneConfig.DEFAULTS).map(SceneConfig.toDatasetKey);
+
+        Object.entries(dataset).forEach(([key, rawValue]) => {
+            if (SceneConfig.RESERVED_ATTRIBUTES.includes(key)) return;
+
+            const path = paths.find(leafPath => SceneConfig.toDatasetKey(leafPath) === key);
+            if (!path) {
+                if (sections.some(section => key.startsWith(section) && /[A-Z]/.test(key.charAt(section.length)))) {
+                    console.warn(`Unknown scene config attribute 'data-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}'`);
+                }
+                return;
+            }
+
+            const keys = path.split('.');
+            const leaf = keys.pop();
+            const parent = keys.reduce((node, part) => (node[part] = node[part] || {}), overrides);
+            const fallback = keys.reduce((node, part) => node[part], SceneConfig.DEFAULTS)[leaf];
+
+            if (typeof fallback === 'number') {
+                parent[leaf] = rawValue.trim() === '' ? NaN : Number(rawValue);
+            } else if (typeof fallback === 'boolean') {
+                // A bare attribute (data-sky-catalogue) counts as true
+                parent[leaf] = { '': true, true: true, false: false }[rawValue] ?? rawValue;
+            } else {
+                parent[leaf] = rawValue === 'null' ? null : rawValue;
+            }
+        });
+
+        return overrides;
+    }
+
+    /**
+     * Dotted paths of every leaf setting ('STARS.COUNT_DESKTOP', ...)
+     */
+    static leafPaths(node, prefix = '') {
+        return Object.entries(node).flatMap(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            return SceneConfig.isPlainObject(value) ? SceneConfig.leafPaths(value, path) : [path];
+        });
+    }
+
+    /**
+     * 'STARS.COUNT_DESKTOP' -> 'starsCountDesktop' (the dataset form of data-stars-count-desktop)
+     */
+    static toDatasetKey(path) {
+        return path.toLowerCase().split(/[._]/)
+            .map((part, index) => index === 0 ? part : part.charAt(0).toUpperCase() + part.slice(1))
+            .join('');
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+/**
+ * Offline solar position and sun times for a latitude/longitude.
+ *
+ * Uses the low-precision formulas from the Astronomical Almanac (as popularised
+ * by SunCalc), accurate to about a minute, which is plenty for a sky backdrop.
+ */
+class SolarCalculator {
+    static RAD = Math.PI / 180;
+    static OBLIQUITY = 23.4397 * SolarCalculator.RAD;
+    static J2000 = 2451545;
+    static J0 = 0.0009;
+
+    // Sun altitudes (degrees) that define each event
+    static ALTITUDES = {
+        HORIZON: -0.833,
+        CIVIL: -6,
+        NAUTICAL: -12
+    };
+
+    static toDays(date) {
+        return date.valueOf() / 86400000 + 2440587.5 - SolarCalculator.J2000;
+    }
+
+    static fromJulian(julian) {
+        return new Date((julian + 0.5 - 2440588) * 86400000);
+    }
+
+    /**
+     * Solar mean anomaly, ecliptic longitude and declination for a day number
+     */
+    static coordinates(days) {
+        const { RAD, OBLIQUITY } = SolarCalculator;
+        const meanAnomaly = RAD * (357.5291 + 0.98560028 * days);
+        const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+        const longitude = meanAnomaly + center + RAD * 102.9372 + Math.PI;
+
+        return {
+            meanAnomaly,
+            longitude,
+            declination: Math.asin(Math.sin(OBLIQUITY) * Math.sin(longitude)),
+            rightAscension: Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY), Math.cos(longitude))
+        };
+    }
+
+    /**
+     * Sun altitude/azimuth (degrees)
+     */
+    static getPosition(date, latitude, longitude) {
+        const { declination, rightAscension } = SolarCalculator.coordinates(SolarCalculator.toDays(date));
+        return SolarCalculator.toHorizontal(rightAscension, declination, date, latitude, longitude);
+    }
+
+    /**
+     * Convert equatorial coordinates (radians) to altitude and azimuth in degrees,
+     * azimuth measured clockwise from north
+     */
+    static toHorizontal(rightAscension, declination, date, latitude, longitude) {
+        const { RAD } = SolarCalculator;
+        const days = SolarCalculator.toDays(date);
+        const phi = RAD * latitude;
+        const siderealTime = RAD * (280.16 + 360.9856235 * days) + RAD * longitude;
+        const hourAngle = siderealTime - rightAscension;
+
+        const altitude = Math.asin(Math.sin(phi) * Math.sin(declination) +
+            Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle));
+        const azimuth = Math.atan2(Math.sin(hourAngle),
+            Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi));
+
+        return {
+            altitude: altitude / RAD,
+            azimuth: (azimuth / RAD + 180) % 360
+        };
+    }
+
+    /**
+     * Sunrise, sunset and civil/nautical twilight for the day containing date.
+     * Events that do not happen (polar day or night) are null.
+     */
+    static getTimes(date, latitude, longitude) {
+        const { RAD, J0, J2000, ALTITUDES } = SolarCalculator;
+        const lw = RAD * -longitude;
+        const phi = RAD * latitude;
+        const cycle = Math.round(SolarCalculator.toDays(date) - J0 - lw / (2 * Math.PI));
+
+        const approxTransit = (hourAngle) => J0 + (hourAngle + lw) / (2 * Math.PI) + cycle;
+        const transitJulian = (approx) => {
+            const { meanAnomaly, longitude: eclipticLongitude } = SolarCalculator.coordinates(approx);
+            return J2000 + approx + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+        };
+
+        const noonApprox = approxTransit(0);
+        const { declination } = SolarCalculator.coordinates(noonApprox);
+        const noon = transitJulian(noonApprox);
+
+        const eventPair = (altitude) => {
+            const cosHourAngle = (Math.sin(altitude * RAD) - Math.sin(phi) * Math.sin(declination)) /
+                (Math.cos(phi) * Math.cos(declination));
+            if (cosHourAngle < -1 || cosHourAngle > 1) return [null, null];
+
+            const set = transitJulian(approxTransit(Math.acos(cosHourAngle)));
+            return [SolarCalculator.fromJulian(noon - (set - noon)), SolarCalculator.fromJulian(set)];
+        };
+
+        const [sunrise, sunset] = eventPair(ALTITUDES.HORIZON);
+        const [civilDawn, civilDusk] = eventPair(ALTITUDES.CIVIL);
+        const [nauticalDawn, nauticalDusk] = eventPair(ALTITUDES.NAUTICAL);
+
+        return {
+            solarNoon: SolarCalculator.fromJulian(noon),
+            sunrise, sunset, civilDawn, civilDusk, nauticalDawn, nauticalDusk
+        };
+    }
+}
+
+/**
+ * Offline moon position and phase (same low-precision almanac formulas).
+ */
+class LunarCalculator {
+    /**
+     * Geocentric ecliptic coordinates converted to right ascension/declination (radians)
+     */
+    static coordinates(days) {
+        const { RAD, OBLIQUITY } = SolarCalculator;
+        const meanLongitude = RAD * (218.316 + 13.176396 * days);
+        const meanAnomaly = RAD * (134.963 + 13.064993 * days);
+        const meanDistance = RAD * (93.272 + 13.229350 * days);
+
+        const longitude = meanLongitude + RAD * 6.289 * Math.sin(meanAnomaly);
+        const latitude = RAD * 5.128 * Math.sin(meanDistance);
+
+        return {
+            rightAscension: Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY), Math.cos(longitude)),
+            declination: Math.asin(Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)),
+            distance: 385001 - 20905 * Math.cos(meanAnomaly) // km
+        };
+    }
+
+    static getPosition(date, latitude, longitude) {
+        const { rightAscension, declination } = LunarCalculator.coordinates(SolarCalculator.toDays(date));
+        return SolarCalculator.toHorizontal(rightAscension, declination, date, latitude, longitude);
+    }
+
+    /**
+     * Equilibrium tide: level from -1 (low water) to 1 (high water), two high
+     * waters a lunar day, lagHours after the moon crosses the meridian (or the
+     * opposite one). The sun's pull gives larger spring tides at new and full
+     * moon and smaller neaps at the quarters.
+     */
+    static getTide(date, longitude, lagHours = 0) {
+        const { RAD } = SolarCalculator;
+        const lagged = new Date(date.getTime() - lagHours * 3600000);
+        const days = SolarCalculator.toDays(lagged);
+        const hourAngle = RAD * (280.16 + 360.9856235 * days) + RAD * longitude - LunarCalculator.coordinates(days).rightAscension;
+
+        const { phase } = LunarCalculator.getIllumination(lagged);
+        const springs = (1 + 0.46 * Math.cos(4 * Math.PI * phase)) / 1.46; // Solar to lunar tide ratio
+
+        return {
+            level: Math.cos(2 * hourAngle) * springs,
+            rising: Math.sin(2 * hourAngle) < 0
+        };
+    }
+
+    /**
+     * Illuminated fraction (0-1) and phase (0 new, 0.25 first quarter, 0.5 full, 0.75 last quarter)
+     */
+    static getIllumination(date) {
+        const days = SolarCalculator.toDays(date);
+        const sun = SolarCalculator.coordinates(days);
+        const moon = LunarCalculator.coordinates(days);
+        const sunDistance = 149598000; // km
+
+        const elongation = Math.acos(Math.sin(sun.declination) * Math.sin(moon.declination) +
+            Math.cos(sun.declination) * Math.cos(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension));
+        const inclination = Math.atan2(sunDistance * Math.sin(elongation), moon.distance - sunDistance * Math.cos(elongation));
+        const angle = Math.atan2(Math.cos(sun.declination) * Math.sin(sun.rightAscension - moon.rightAscension),
+            Math.sin(sun.declination) * Math.cos(moon.declination) -
+            Math.cos(sun.declination) * Math.sin(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension));
+
+        return {
+            fraction: (1 + Math.cos(inclination)) / 2,
+            phase: 0.5 + 0.5 * inclination * (angle < 0 ? -1 : 1) / Math.PI
+        };
+    }
+
+    static getPhaseName(phase) {
+        const names = ['New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+            'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'];
+        return names[Math.round(phase * 8) % 8];
+    }
+
+    /**
+     * SVG path (in a -1..1 box) of the lit part of the disc as seen from the northern hemisphere
+     */
+    static getPhasePath(phase) {
+        const waxing = phase < 0.5;
+        const terminator = Math.cos(phase * 2 * Math.PI);
+        const limbSweep = waxing ? 1 : 0;
+        const terminatorSweep = (terminator > 0) === waxing ? 0 : 1;
+
+        return `M 0 -1 A 1 1 0 0 ${limbSweep} 0 1 A ${Math.abs(terminator).toFixed(4)} 1 0 0 ${terminatorSweep} 0 -1 Z`;
+    }
+}
+
+/**
+ * Bundled bright-star catalogue (J2000 right ascension in hours, declination
+ * in degrees, visual magnitude) with stick figures for well-known constellations.
+ */
+class StarCatalogue {
+    static STARS = [
+        // Orion
+        ['Betelgeuse', 5.919, 7.407, 0.5], ['Rigel', 5.242, -8.202, 0.13], ['Bellatrix', 5.419, 6.350, 1.64],
+        ['Saiph', 5.796, -9.670, 2.06], ['Alnitak', 5.679, -1.943, 1.77], ['Alnilam', 5.604, -1.202, 1.69],
+        ['Mintaka', 5.533, -0.299, 2.23], ['Meissa', 5.586, 9.934, 3.39],
+        // Big Dipper
+        ['Dubhe', 11.062, 61.751, 1.79], ['Merak', 11.031, 56.382, 2.37], ['Phecda', 11.897, 53.695, 2.44],
+        ['Megrez', 12.257, 57.033, 3.31], ['Alioth', 12.900, 55.960, 1.77], ['Mizar', 13.399, 54.925, 2.23],
+        ['Alkaid', 13.792, 49.313, 1.86],
+        // Cassiopeia
+        ['Caph', 0.153, 59.150, 2.28], ['Schedar', 0.675, 56.537, 2.24], ['Navi', 0.945, 60.717, 2.47],
+        ['Ruchbah', 1.430, 60.235, 2.68], ['Segin', 1.907, 63.670, 3.37],
+        // Southern Cross
+        ['Acrux', 12.443, -63.099, 0.76], ['Mimosa', 12.795, -59.689, 1.25], ['Gacrux', 12.519, -57.113, 1.63],
+        ['Imai', 12.252, -58.749, 2.79],
+        // Other bright stars
+        ['Polaris', 2.530, 89.264, 1.98], ['Sirius', 6.752, -16.716, -1.46], ['Canopus', 6.399, -52.696, -0.74],
+        ['Arcturus', 14.261, 19.182, -0.05], ['Vega', 18.616, 38.784, 0.03], ['Capella', 5.278, 45.998, 0.08],
+        ['Procyon', 7.655, 5.225, 0.34], ['Achernar', 1.629, -57.237, 0.46], ['Altair', 19.846, 8.868, 0.77],
+        ['Aldebaran', 4.599, 16.509, 0.85], ['Antares', 16.490, -26.432, 1.06], ['Spica', 13.420, -11.161, 0.97],
+        ['Pollux', 7.755, 28.026, 1.14], ['Castor', 7.577, 31.888, 1.58], ['Fomalhaut', 22.961, -29.622, 1.16],
+        ['Deneb', 20.691, 45.280, 1.25], ['Regulus', 10.140, 11.967, 1.35], ['Denebola', 11.818, 14.572, 2.14],
+        ['Rigil Kentaurus', 14.660, -60.834, -0.27], ['Hadar', 14.064, -60.373, 0.61], ['Shaula', 17.560, -37.104, 1.62],
+        ['Alcyone', 3.791, 24.105, 2.87]
+    ];
+
+    static CONSTELLATIONS = {
+        Orion: [['Betelgeuse', 'Meissa'], ['Meissa', 'Bellatrix'], ['Betelgeuse', 'Alnitak'], ['Bellatrix', 'Mintaka'],
+            ['Alnitak', 'Alnilam'], ['Alnilam', 'Mintaka'], ['Alnitak', 'Saiph'], ['Mintaka', 'Rigel']],
+        'Big Dipper': [['Dubhe', 'Merak'], ['Merak', 'Phecda'], ['Phecda', 'Megrez'], ['Megrez', 'Dubhe'],
+            ['Megrez', 'Alioth'], ['Alioth', 'Mizar'], ['Mizar', 'Alkaid']],
+        Cassiopeia: [['Caph', 'Schedar'], ['Schedar', 'Navi'], ['Navi', 'Ruchbah'], ['Ruchbah', 'Segin']],
+        Crux: [['Acrux', 'Gacrux'], ['Mimosa', 'Imai']]
+    };
+
+    /**
+     * Altitude/azimuth of every catalogue star for an observer and time
+     */
+    static getPositions(date, latitude, longitude) {
+        const { RAD } = SolarCalculator;
+        return StarCatalogue.STARS.map(([name, rightAscension, declination, magnitude]) => ({
+            name,
+            magnitude,
+            ...SolarCalculator.toHorizontal(rightAscension * 15 * RAD, declination * RAD, date, latitude, longitude)
+        }));
+    }
+}
+
+/**
+ * Small seedable PRNG (mulberry32) so a seed always produces the same scene.
+ *
+ * Seeds are unsigned 32-bit integers; strings are hashed, so data-seed="harbour"
+ * works as well as data-seed="42".
+ */
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.normalize(seed);
+        this.state = this.seed;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Turn a number or string into a 32-bit seed
+     */
+    static normalize(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) return Math.trunc(seed) >>> 0;
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) return Number(text) >>> 0;
+        return SeededRandom.hash(text);
+    }
+
+    /**
+     * FNV-1a hash of a string
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next value in [0, 1), like Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let value = this.state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 0x100000000;
+    }
+}
+
+/**
+ * Canvas 2D renderer for the random star field, shooting stars and clouds.
+ *
+ * Replaces the per-element DOM nodes and CSS animations with one canvas that the
+ * scene's AnimationClock redraws each frame. Positions are stored as fractions of
+ * the canvas, so a resize only rescales the backing store and keeps the same field.
+ */
+class SkyCanvasRenderer {
+    constructor(canvas, config) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.config = config;
+        this.rng = new SeededRandom();
+
+        this.stars = [];
+        this.shootingStars = [];
+        this.clouds = [];
+        this.cloudSprite = null;
+        this.starColor = '#ffffff';
+
+        this.width = 0;
+        this.height = 0;
+        this.elapsed = 0;
+        this.isStill = false; // Reduced motion: no shooting stars
+    }
+
+    /**
+     * Whether the browser can draw with Canvas 2D
+     */
+    get isSupported() {
+        return Boolean(this.context);
+    }
+
+    /**
+     * Replace the drawn content from the given SeededRandom; counts of 0 leave a layer empty
+     */
+    populate({ stars = 0, shootingStars = 0, clouds = 0 }, rng = this.rng) {
+        const { STARS, SHOOTING_STARS, CLOUDS } = this.config;
+
+        this.rng = rng;
+
+        this.starColor = getComputedStyle(this.canvas).getPropertyValue('--star-color').trim() || '#ffffff';
+
+        this.stars = Array.from({ length: stars }, () => {
+            const type = this.rng.next();
+            return {
+                x: this.rng.next(),
+                y: this.rng.next(),
+                size: this.random(STARS.MIN_SIZE, STARS.MAX_SIZE),
+                opacity: this.random(STARS.MIN_OPACITY, STARS.MAX_OPACITY),
+                duration: type > 0.85 && type <= 0.95 ? 1.5 : this.random(STARS.MIN_DURATION, STARS.MAX_DURATION),
+                delay: this.rng.next() * STARS.MAX_DELAY,
+                isBright: type > 0.95
+            };
+        });
+
+        this.shootingStars = Array.from({ length: shootingStars }, () => ({
+            x: this.rng.next() * 1.2 - 0.2, // Can start off-screen
+            y: this.rng.next() * 0.4,
+            angle: (10 + this.rng.next() * 30) * Math.PI / 180,
+            duration: 3 + this.rng.next() * 4,
+            delay: this.rng.next() * SHOOTING_STARS.MAX_DELAY
+        }));
+
+        this.clouds = Array.from({ length: clouds }, () => {
+            const size = this.random(CLOUDS.MIN_SIZE, CLOUDS.MAX_SIZE);
+            return {
+                y: this.rng.next() * 0.65,
+                size,
+                opacity: 0.3 + this.rng.next() * 0.4,
+                duration: this.random(CLOUDS.MIN_DURATION, CLOUDS.MAX_DURATION),
+                offset: this.rng.next()
+            };
+        });
+
+        this.resize();
+    }
+
+    /**
+     * Match the backing store to the element size and device pixel ratio
+     */
+    resize() {
+        if (!this.context) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        this.width = this.canvas.clientWidth;
+        this.height = this.canvas.clientHeight;
+        this.canvas.width = Math.round(this.width * ratio);
+        this.canvas.height = Math.round(this.height * ratio);
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.draw();
+    }
+
+    hasContent() {
+        return this.stars.length > 0 || this.shootingStars.length > 0 || this.clouds.length > 0;
+    }
+
+    /**
+     * Redraw at clock time (seconds)
+     */
+    update(time) {
+        this.elapsed = time;
+        if (this.hasContent()) this.draw();
+    }
+
+    draw() {
+        const { context } = this;
+        if (!context) return;
+
+        context.clearRect(0, 0, this.width, this.height);
+        this.drawClouds();
+        this.drawStars();
+        if (!this.isStill) this.drawShootingStars();
+        context.globalAlpha = 1;
+    }
+
+    /**
+     * Same curve as the enhancedTwinkle keyframes: dim and small at the ends, bright mid-cycle
+     */
+    drawStars() {
+        const { context, elapsed } = this;
+        context.fillStyle = this.starColor;
+
+        this.stars.forEach(star => {
+            const phase = ((elapsed + star.delay) / star.duration) % 1;
+            const wave = (1 - Math.cos(phase * Math.PI * 2)) / 2;
+            const radius = star.size / 2 * (0.8 + 0.4 * wave);
+            const x = star.x * this.width;
+            const y = star.y * this.height;
+
+            context.globalAlpha = 0.2 + (star.opacity - 0.2) * wave;
+
+            // Sub-pixel stars look the same as squares and are much cheaper
+            if (radius < 0.75) {
+                context.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+                return;
+            }
+
+            context.beginPath();
+            context.arc(x, y, radius, 0, Math.PI * 2);
+            context.fill();
+
+            if (star.isBright) {
+                context.globalAlpha *= 0.25;
+                context.beginPath();
+                context.arc(x, y, radius * 3, 0, Math.PI * 2);
+                context.fill();
+            }
+        });
+    }
+
+    /**
+     * Same timing as enhancedShooting: a streak during the first quarter of each cycle
+     */
+    drawShootingStars() {
+        const { context, elapsed } = this;
+        const length = 120;
+
+        this.shootingStars.forEach(star => {
+            if (elapsed < star.delay) return;
+
+            const progress = ((elapsed - star.delay) / star.duration) % 1;
+            if (progress > 0.25) return;
+
+            const opacity = progress < 0.05 ? progress / 0.05 : progress < 0.15 ? 1 : (0.25 - progress) / 0.1;
+            const distance = -100 + 500 * (progress / 0.25);
+            const cos = Math.cos(star.angle);
+            const sin = Math.sin(star.angle);
+            const startX = star.x * this.width + distance * cos;
+            const startY = star.y * this.height + distance * sin;
+            const endX = startX + length * cos;
+            const endY = startY + length * sin;
+
+            const gradient = context.createLinearGradient(startX, startY, endX, endY);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 0)');
+            gradient.addColorStop(0.5, 'rgba(255, 255, 255, 1)');
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+            context.globalAlpha = opacity;
+            context.strokeStyle = gradient;
+            context.lineWidth = 1;
+            context.beginPath();
+            context.moveTo(startX, startY);
+            context.lineTo(endX, endY);
+            context.stroke();
+        });
+    }
+
+    /**
+     * Clouds drift left to right like cloudDrift, drawn from one pre-blurred sprite
+     */
+    drawClouds() {
+        if (!this.clouds.length) return;
+
+        const { context, elapsed } = this;
+        const sprite = this.getCloudSprite();
+
+        this.clouds.forEach(cloud => {
+            const progress = (elapsed / cloud.duration + cloud.offset) % 1;
+            const x = -cloud.size + (this.width + cloud.size) * progress;
+
+            context.globalAlpha = cloud.opacity;
+            context.drawImage(sprite, x, cloud.y * this.height, cloud.size, cloud.size / 2);
+        });
+    }
+
+    /**
+     * Soft white ellipse rendered once, standing in for the CSS blur(20px) clouds
+     */
+    getCloudSprite() {
+        if (!this.cloudSprite) {
+            const sprite = document.createElement('canvas');
+            sprite.width = 128;
+            sprite.height = 64;
+
+            const context = sprite.getContext('2d');
+            const gradient = context.createRadialGradient(64, 32, 0, 64, 32, 32);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 0.3)');
+            gradient.addColorStop(0.6, 'rgba(255, 255, 255, 0.2)');
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+            context.setTransform(2, 0, 0, 1, 0, 0);
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, 64, 64);
+            this.cloudSprite = sprite;
+        }
+        return this.cloudSprite;
+    }
+
+    random(min, max) {
+        return this.rng.next() * (max - min) + min;
+    }
+
+    destroy() {
+        this.stars = [];
+        this.shootingStars = [];
+        this.clouds = [];
+        this.canvas.remove();
+    }
+}
+
+/**
+ * One requestAnimationFrame loop shared by every animated subsystem.
+ *
+ * Subscribers get the scaled delta and the clock time (both in seconds) each
+ * frame, so motion is frame-rate independent and follows pause() and the time
+ * scale. The loop stops entirely while suspended (tab hidden, scene off-screen).
+ * One-shot tasks from schedule() coalesce input updates to one per frame and
+ * still run while paused.
+ */
+class AnimationClock {
+    static MAX_DELTA = 0.1; // Longer gaps (stalls, debugger) count as one short step
+
+    constructor(timeScale = 1) {
+        this.subscribers = new Map();
+        this.tasks = new Map();
+        this.suspensions = new Set();
+        this.time = 0;
+        this.timeScale = timeScale;
+        this.isPaused = false;
+        this.frameId = null;
+        this.lastFrameTime = null;
+
+        this.tick = this.tick.bind(this);
+    }
+
+    get isSuspended() {
+        return this.suspensions.size > 0;
+    }
+
+    /**
+     * Call callback(delta, time) every frame until remove(name)
+     */
+    add(name, callback) {
+        this.subscribers.set(name, callback);
+        this.requestFrame();
+    }
+
+    remove(name) {
+        this.subscribers.delete(name);
+    }
+
+    /**
+     * Run callback once on the next frame; a later call with the same name replaces it
+     */
+    schedule(name, callback) {
+        this.tasks.set(name, callback);
+        this.requestFrame();
+    }
+
+    /**
+     * Drop a task queued with schedule()
+     */
+    cancel(name) {
+        this.tasks.delete(name);
+    }
+
+    /**
+     * Jump to a clock time and update every subscriber there (delta 0)
+     */
+    seek(time) {
+        this.time = time;
+        this.lastFrameTime = null;
+        this.subscribers.forEach(callback => callback(0, time));
+    }
+
+    /**
+     * Advance by a fixed step of scene time outside the frame loop (frame-exact export)
+     */
+    step(delta) {
+        this.time += delta;
+        this.subscribers.forEach(callback => callback(delta, this.time));
+    }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+        this.lastFrameTime = null;
+        this.requestFrame();
+    }
+
+    setTimeScale(timeScale) {
+        this.timeScale = timeScale;
+    }
+
+    /**
+     * Stop or restart the loop for a reason ('hidden', 'offscreen'); it runs only when no reason is left
+     */
+    setSuspended(reason, suspended) {
+        if (suspended) {
+            this.suspensions.add(reason);
+            return;
+        }
+
+        this.suspensions.delete(reason);
+        this.lastFrameTime = null;
+        this.requestFrame();
+    }
+
+    requestFrame() {
+        if (this.frameId || this.isSuspended) return;
+
+        const hasWork = this.tasks.size > 0 || (!this.isPaused && this.subscribers.size > 0);
+        if (hasWork) this.frameId = requestAnimationFrame(this.tick);
+    }
+
+    tick(now) {
+        this.frameId = null;
+        if (this.isSuspended) return;
+
+        const tasks = Array.from(this.tasks.values());
+        this.tasks.clear();
+        tasks.forEach(task => task());
+
+        if (!this.isPaused) {
+            const elapsed = this.lastFrameTime === null ? 0 : (now - this.lastFrameTime) / 1000;
+            const delta = Math.min(elapsed, AnimationClock.MAX_DELTA) * this.timeScale;
+
+            this.time += delta;
+            this.lastFrameTime = now;
+            this.subscribers.forEach(callback => callback(delta, this.time));
+        }
+
+        this.requestFrame();
+    }
+
+    destroy() {
+        if (this.frameId) cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+        this.subscribers.clear();
+        this.tasks.clear();
+    }
+}
+
+/**
+ * Procedural Web Audio soundscape: no asset files, everything is synthesised.
+ *
+ * Surf is looped noise through a low-pass filter with a slow swell, rain is
+ * high-passed noise, and gulls, foghorn and thunder are one-shot voices. Each
+ * sits on its own channel gain (surf, gulls, foghorn, weather) under a master
+ * volume. The scene describes what is on screen with setState(); update()
+ * runs on the animation clock to time gull calls and foghorn blasts.
+ */
+class Soundscape {
+    static CHANNELS = ['surf', 'gulls', 'foghorn', 'weather'];
+
+    constructor(config) {
+        const { AUDIO } = config;
+
+        this.config = config;
+        this.context = null;
+        this.nodes = null;
+        this.isRunning = false;
+        this.volume = AUDIO.VOLUME;
+        this.mix = {
+            surf: AUDIO.SURF_LEVEL,
+            gulls: AUDIO.GULLS_LEVEL,
+            foghorn: AUDIO.FOGHORN_LEVEL,
+            weather: AUDIO.WEATHER_LEVEL
+        };
+
+        // What the scene shows: surf 0-1, rain 0-1, gulls and foghorn on/off
+        this.state = { surf: 0.5, rain: 0, gulls: false, foghorn: false };
+        this.nextGull = null; // Seconds until the next call
+        this.nextFoghorn = null;
+    }
+
+    static get isSupported() {
+        return Boolean(window.AudioContext || window.webkitAudioContext);
+    }
+
+    /**
+     * Create the context and the always-on graph the first time sound is enabled
+     */
+    build() {
+        if (this.context) return;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const context = new AudioContextClass();
+        const master = context.createGain();
+        const channels = {};
+
+        master.gain.value = 0;
+        master.connect(context.destination);
+        Soundscape.CHANNELS.forEach(name => {
+            channels[name] = context.createGain();
+            channels[name].gain.value = this.mix[name];
+            channels[name].connect(master);
+        });
+
+        const noise = this.createNoiseBuffer(context, 4);
+
+        // Surf: low-passed noise whose level rises and falls with the swell
+        const surfSource = context.createBufferSource();
+        const surfFilter = context.createBiquadFilter();
+        const surfGain = context.createGain();
+        const swell = context.createOscillator();
+        const swellDepth = context.createGain();
+
+        surfSource.buffer = noise;
+        surfSource.loop = true;
+        surfFilter.type = 'lowpass';
+        swell.frequency.value = 0.09; // About one breaking wave every 11 s
+        surfSource.connect(surfFilter).connect(surfGain).connect(channels.surf);
+        swell.connect(swellDepth).connect(surfGain.gain);
+
+        // Rain: high-passed hiss on the weather channel
+        const rainSource = context.createBufferSource();
+        const rainFilter = context.createBiquadFilter();
+        const rainGain = context.createGain();
+
+        rainSource.buffer = noise;
+        rainSource.loop = true;
+        rainFilter.type = 'highpass';
+        rainFilter.frequency.value = 2500;
+        rainGain.gain.value = 0;
+        rainSource.connect(rainFilter).connect(rainGain).connect(channels.weather);
+
+        surfSource.start();
+        rainSource.start(0, 1.7); // Offset so rain and surf do not share a pattern
+        swell.start();
+
+        this.context = context;
+        this.nodes = { master, channels, surfFilter, surfGain, swellDepth, rainGain };
+        this.applyState();
+    }
+
+    /**
+     * Fade in; resolves once the browser lets the context run
+     */
+    start() {
+        try {
+            this.build();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        return this.context.resume().then(() => {
+            this.isRunning = true;
+            this.ramp(this.nodes.master.gain, this.volume);
+            if (this.state.foghorn) this.nextFoghorn = 0;
+            this.scheduleGull();
+        });
+    }
+
+    /**
+     * Fade out and suspend the context so it stops using the audio thread
+     */
+    stop() {
+        this.isRunning = false;
+        if (!this.context) return;
+
+        this.ramp(this.nodes.master.gain, 0, 0.3);
+        clearTimeout(this.suspendTimer);
+        this.suspendTimer = setTimeout(() => {
+            if (!this.isRunning && this.context?.state === 'running') this.context.suspend();
+        }, 1000);
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.nodes && this.isRunning) this.ramp(this.nodes.master.gain, volume);
+    }
+
+    /**
+     * Change any of the channel levels (surf, gulls, foghorn, weather)
+     */
+    setMix(levels) {
+        Object.assign(this.mix, levels);
+        if (!this.nodes) return;
+
+        Object.entries(levels).forEach(([name, level]) => this.ramp(this.nodes.channels[name].gain, level));
+    }
+
+    /**
+     * Follow the scene: surf and rain intensity, whether gulls and the foghorn are active
+     */
+    setState(state) {
+        const wasFoghorn = this.state.foghorn;
+        Object.assign(this.state, state);
+
+        if (this.state.foghorn && !wasFoghorn) this.nextFoghorn = 0; // Sound at once
+        if (!this.state.foghorn) this.nextFoghorn = null;
+        if (this.state.gulls && this.nextGull === null) this.scheduleGull();
+        this.applyState();
+    }
+
+    applyState() {
+        if (!this.nodes) return;
+
+        const { surf, rain } = this.state;
+        const { surfFilter, surfGain, swellDepth, rainGain } = this.nodes;
+
+        // Rougher sea: louder, brighter, deeper swell
+        this.ramp(surfGain.gain, 0.15 + surf * 0.35, 2);
+        this.ramp(swellDepth.gain, 0.05 + surf * 0.2, 2);
+        this.ramp(surfFilter.frequency, 350 + surf * 900, 2);
+        this.ramp(rainGain.gain, rain * 0.25, 2);
+    }
+
+    /**
+     * Advance gull and foghorn timing by delta seconds of clock time
+     */
+    update(delta) {
+        if (!this.isRunning) return;
+
+        if (this.state.gulls && this.nextGull !== null) {
+            this.nextGull -= delta;
+            if (this.nextGull <= 0) {
+                this.playGull();
+                this.scheduleGull();
+            }
+        }
+
+        if (this.state.foghorn && this.nextFoghorn !== null) {
+            this.nextFoghorn -= delta;
+            if (this.nextFoghorn <= 0) {
+                this.playFoghorn();
+                this.nextFoghorn = this.config.WEATHER.FOGHORN_INTERVAL / 1000;
+            }
+        }
+    }
+
+    scheduleGull() {
+        const { GULL_MIN_INTERVAL, GULL_MAX_INTERVAL } = this.config.AUDIO;
+        const interval = GULL_MIN_INTERVAL + Math.random() * Math.max(0, GULL_MAX_INTERVAL - GULL_MIN_INTERVAL);
+
+        this.nextGull = interval / 1000;
+    }
+
+    /**
+     * Two or three falling 'kyow' cries
+     */
+    playGull() {
+        if (!this.isRunning) return;
+
+        const { context } = this;
+        const calls = 2 + Math.floor(Math.random() * 2);
+        const pitch = 0.9 + Math.random() * 0.25;
+
+        for (let i = 0; i < calls; i++) {
+            const start = context.currentTime + i * 0.32;
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+
+            oscillator.type = 'triangle';
+            oscillator.frequency.setValueAtTime(1500 * pitch, start);
+            oscillator.frequency.exponentialRampToValueAtTime(800 * pitch, start + 0.22);
+            gain.gain.setValueAtTime(0.0001, start);
+            gain.gain.exponentialRampToValueAtTime(0.25, start + 0.03);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.25);
+
+            oscillator.connect(gain).connect(this.nodes.channels.gulls);
+            oscillator.start(start);
+            oscillator.stop(start + 0.3);
+        }
+    }
+
+    /**
+     * Two-tone diaphone blast
+     */
+    playFoghorn() {
+        if (!this.isRunning) return;
+
+        const { context } = this;
+        const filter = context.createBiquadFilter();
+        const gain = context.createGain();
+        const now = context.currentTime;
+
+        filter.type = 'lowpass';
+        filter.frequency.value = 500;
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.exponentialRampToValueAtTime(0.6, now + 0.3);
+        gain.gain.setValueAtTime(0.6, now + 1.8);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + 2.4);
+        filter.connect(gain).connect(this.nodes.channels.foghorn);
+
+        [88, 132].forEach(frequency => {
+            const oscillator = context.createOscillator();
+            oscillator.type = 'sawtooth';
+            oscillator.frequency.value = frequency;
+            oscillator.connect(filter);
+            oscillator.start(now);
+            oscillator.stop(now + 2.5);
+        });
+    }
+
+    /**
+     * Low rumble of filtered noise; louder for closer strikes
+     */
+    playThunder(intensity = 1) {
+        if (!this.isRunning) return;
+
+        const { context } = this;
+        const duration = 3;
+        const source = context.createBufferSource();
+        const filter = context.createBiquadFilter();
+        const gain = context.createGain();
+        const now = context.currentTime;
+
+        source.buffer = this.createNoiseBuffer(context, duration);
+        filter.type = 'lowpass';
+        filter.frequency.value = 300;
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.exponentialRampToValueAtTime(intensity, now + 0.08);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+
+        source.connect(filter).connect(gain).connect(this.nodes.channels.weather);
+        source.start(now);
+    }
+
+    createNoiseBuffer(context, seconds) {
+        const buffer = context.createBuffer(1, context.sampleRate * seconds, context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        return buffer;
+    }
+
+    /**
+     * Smoothly move an AudioParam to a value over roughly `seconds`
+     */
+    ramp(param, value, seconds = 0.5) {
+        const now = this.context.currentTime;
+        param.cancelScheduledValues(now);
+        param.setTargetAtTime(value, now, seconds / 3);
+    }
+
+    destroy() {
+        this.isRunning = false;
+        clearTimeout(this.suspendTimer);
+        this.context?.close();
+        this.context = null;
+        this.nodes = null;
+    }
+}
+
+/**
+ * Ships crossing the sea. Each frame the scene hands update() the beam cone:
+ * a ship inside it is lit, answers with its lamp and stands out to sea, while
+ * one left in the dark for DRIFT_DELAY sets course for the rocks below the
+ * lighthouse and runs aground. Positions are fractions of the scene size, so
+ * ships keep their place when the scene is resized.
+ */
+class ShipTraffic {
+    static MARKUP = `
+        <svg viewBox="0 0 60 34" width="60" height="34" aria-hidden="true">
+            <line class="ship-mast" x1="28" y1="3" x2="28" y2="22" />
+            <path class="ship-sail" d="M30,5 L45,20 L30,20 Z" />
+            <path class="ship-hull" d="M4,22 L56,22 L48,32 L12,32 Z" />
+            <circle class="ship-lamp" cx="28" cy="3" r="2.5" />
+        </svg>`;
+
+    // Beam opacity below which a flashing light is between flashes and lights nothing
+    static MIN_BEAM_OPACITY = 0.3;
+
+    constructor(container, config, notify) {
+        this.container = container;
+        this.config = config;
+        this.notify = notify; // Called with ('lit' | 'aground', ship)
+        this.ships = [];
+        this.nextId = 1;
+        this.rng = new SeededRandom();
+        this.nextSpawn = 0; // Seconds until the next ship
+    }
+
+    /**
+     * Clear the sea and restart the ship sequence from a seed
+     */
+    reset(seed) {
+        this.ships.forEach(ship => ship.element.remove());
+        this.ships = [];
+        this.nextId = 1;
+        this.rng = new SeededRandom(seed);
+        this.nextSpawn = this.random(0, this.config.SHIPS.SPAWN_MIN_INTERVAL / 1000);
+    }
+
+    random(min, max) {
+        return this.rng.next() * (max - min) + min;
+    }
+
+    /**
+     * Advance the traffic by delta seconds. light is the beam in scene pixels:
+     * { origin, rotation, halfAngle, isOn, isNeeded, rocks, width, height }
+     */
+    update(delta, light) {
+        const { SHIPS } = this.config;
+
+        this.nextSpawn -= delta;
+        if (this.nextSpawn <= 0) {
+            if (this.ships.length < SHIPS.MAX) this.spawn();
+            this.nextSpawn = this.random(SHIPS.SPAWN_MIN_INTERVAL, SHIPS.SPAWN_MAX_INTERVAL) / 1000;
+        }
+
+        this.ships = this.ships.filter(ship => this.updateShip(ship, delta, light));
+    }
+
+    /**
+     * Launch a ship just off the left or right edge in a random lane
+     */
+    spawn() {
+        const { LANE_TOP, LANE_BOTTOM, SPEED } = this.config.SHIPS;
+        const direction = this.rng.next() < 0.5 ? 1 : -1;
+        const lane = this.random(LANE_TOP, LANE_BOTTOM);
+
+        const element = document.createElement('div');
+        element.className = 'ship';
+        element.innerHTML = ShipTraffic.MARKUP;
+        this.container.appendChild(element);
+
+        this.ships.push({
+            id: this.nextId++,
+            element,
+            x: direction > 0 ? -0.05 : 1.05,
+            y: lane,
+            lane,
+            direction,
+            heading: direction > 0 ? 0 : Math.PI, // Radians in screen space
+            speed: SPEED * this.random(0.7, 1.3),
+            darkTime: 0,
+            isWarned: false,
+            signalTime: 0,
+            agroundTime: null
+        });
+    }
+
+    /**
+     * Steer, move and render one ship; false once it has left the scene
+     */
+    updateShip(ship, delta, light) {
+        const { SHIPS } = this.config;
+        const { width, height, rocks } = light;
+
+        if (ship.agroundTime !== null) {
+            ship.agroundTime += delta;
+            if (ship.agroundTime < SHIPS.AGROUND_DURATION / 1000) return true;
+
+            ship.element.remove();
+            return false;
+        }
+
+        let x = ship.x * width;
+        let y = ship.y * height;
+
+        // The light only matters at night or in bad visibility
+        if (light.isNeeded && this.isInBeam(x, y, light)) {
+            ship.darkTime = 0;
+            if (!ship.isWarned) {
+                ship.isWarned = true;
+                ship.signalTime = SHIPS.SIGNAL_DURATION / 1000;
+                ship.element.classList.add('ship-signal');
+                this.notify('lit', ship);
+            }
+        } else if (light.isNeeded) {
+            ship.darkTime += delta;
+        }
+
+        if (ship.signalTime > 0) {
+            ship.signalTime -= delta;
+            if (ship.signalTime <= 0) ship.element.classList.remove('ship-signal');
+        }
+
+        // Warned ships stand out to sea; ships too long in the dark close on the rocks ahead
+        const rocksAhead = Math.sign(rocks.x - x) === ship.direction;
+        const isDrifting = light.isNeeded && !ship.isWarned && rocksAhead && ship.darkTime > SHIPS.DRIFT_DELAY / 1000;
+        const target = isDrifting ? rocks : {
+            x: (ship.direction > 0 ? 1.1 : -0.1) * width,
+            y: (ship.isWarned ? SHIPS.LANE_BOTTOM : ship.lane) * height
+        };
+
+        const desired = Math.atan2(target.y - y, target.x - x);
+        const turn = Math.atan2(Math.sin(desired - ship.heading), Math.cos(desired - ship.heading));
+        const maxTurn = SHIPS.TURN_RATE * delta;
+        ship.heading += Math.max(-maxTurn, Math.min(maxTurn, turn));
+
+        const distance = ship.speed * width * delta;
+        x += Math.cos(ship.heading) * distance;
+        y += Math.sin(ship.heading) * distance;
+        ship.x = x / width;
+        ship.y = y / height;
+
+        if (Math.hypot(rocks.x - x, rocks.y - y) < SHIPS.ROCKS_RADIUS) {
+            ship.agroundTime = 0;
+            ship.element.classList.remove('ship-signal');
+            ship.element.classList.add('ship-aground');
+            ship.element.style.animationDuration = `${SHIPS.AGROUND_DURATION}ms`;
+            this.notify('aground', ship);
+        } else if (ship.x < -0.1 || ship.x > 1.1) {
+            ship.element.remove();
+            return false;
+        }
+
+        this.render(ship, width, height);
+        return true;
+    }
+
+    /**
+     * Whether a point lies inside the beam cone. Angles follow the beam's CSS
+     * rotate(): 0 points straight down and positive swings to the left.
+     */
+    isInBeam(x, y, { origin, rotation, halfAngle, isOn }) {
+        if (!isOn) return false;
+
+        const bearing = Math.atan2(origin.x - x, y - origin.y) * 180 / Math.PI;
+        return Math.abs(bearing - rotation) <= halfAngle;
+    }
+
+    render(ship, width, height) {
+        const { LANE_TOP, LANE_BOTTOM } = this.config.SHIPS;
+
+        // Nearer lanes sit lower on screen and are drawn larger
+        const depth = Math.max(0, Math.min(1, (ship.y - LANE_TOP) / (LANE_BOTTOM - LANE_TOP || 1)));
+        const scale = 0.6 + depth * 0.6;
+        const facing = Math.cos(ship.heading) < 0 ? -1 : 1;
+
+        ship.element.style.transform = `translate(${ship.x * width}px, ${ship.y * height}px) scale(${scale * facing}, ${scale})`;
+    }
+
+    /**
+     * Ships on the sea: { id, x, y, lit, aground } with x and y as fractions of the scene size
+     */
+    list() {
+        return this.ships.map(({ id, x, y, isWarned, agroundTime }) => ({
+            id, x, y, lit: isWarned, aground: agroundTime !== null
+        }));
+    }
+
+    destroy() {
+        this.ships.forEach(ship => ship.element.remove());
+        this.ships = [];
+    }
+}
+
+/**
+ * Flocks of birds simulated as boids: each bird steers by separation,
+ * alignment and cohesion with its flockmates, plus a pull toward the far
+ * edge. Flocks enter at one side of the scene and are removed once past the
+ * other, keep to a band of sky, and swerve around the lighthouse and the lit
+ * beam. Positions are in the container's pixels.
+ */
+class BirdFlocks {
+    static MARKUP = `
+        <svg viewBox="8 4 24 12" width="24" height="12" aria-hidden="true">
+            <path class="bird-wings" d="M10,10 Q15,5 20,10 Q25,5 30,10 L20,15 Z" />
+        </svg>`;
+
+    static STEERING = 2.5; // How hard the rules pull on a bird's velocity (per second)
+
+    constructor(container, config) {
+        this.container = container;
+        this.config = config;
+        this.flocks = [];
+        this.nextId = 1;
+        this.rng = new SeededRandom();
+        this.nextSpawn = 0; // Seconds until the next flock
+    }
+
+    /**
+     * Clear the sky and restart the flock sequence from a seed
+     */
+    reset(seed) {
+        this.flocks.forEach(flock => flock.birds.forEach(bird => bird.element.remove()));
+        this.flocks = [];
+        this.nextId = 1;
+        this.rng = new SeededRandom(seed);
+        this.nextSpawn = this.random(0, this.config.BIRDS.SPAWN_MIN_INTERVAL / 1000);
+    }
+
+    random(min, max) {
+        return this.rng.next() * (max - min) + min;
+    }
+
+    /**
+     * Advance the flocks by delta seconds. obstacles is the scene in container
+     * pixels: { width, height, tower, origin, rotation, halfAngle, isOn }
+     */
+    update(delta, obstacles) {
+        const { BIRDS } = this.config;
+        const step = Math.min(delta, 0.1); // A long frame would throw the flock apart
+
+        this.nextSpawn -= delta;
+        if (this.nextSpawn <= 0) {
+            if (this.flocks.length < BIRDS.MAX_FLOCKS) this.spawn(obstacles.width, obstacles.height);
+            this.nextSpawn = this.random(BIRDS.SPAWN_MIN_INTERVAL, BIRDS.SPAWN_MAX_INTERVAL) / 1000;
+        }
+
+        this.flocks = this.flocks.filter(flock => {
+            flock.birds.forEach(bird => this.steer(bird, flock, obstacles, step));
+            flock.birds = flock.birds.filter(bird => this.move(bird, flock, obstacles, step));
+            return flock.birds.length > 0;
+        });
+    }
+
+    /**
+     * Launch a flock just off the left or right edge; wider scenes get bigger flocks
+     */
+    spawn(width, height) {
+        const { BIRDS } = this.config;
+        const direction = this.rng.next() < 0.5 ? 1 : -1;
+        const size = Math.round(Math.max(BIRDS.MIN_FLOCK_SIZE, Math.min(BIRDS.MAX_FLOCK_SIZE, width / BIRDS.PIXELS_PER_BIRD)));
+        const centerY = this.random(BIRDS.SKY_TOP, BIRDS.SKY_BOTTOM) * height;
+        const startX = direction > 0 ? -BIRDS.NEIGHBOR_RADIUS : width + BIRDS.NEIGHBOR_RADIUS;
+        const speed = BIRDS.SPEED * width;
+
+        const flock = { id: this.nextId++, direction, birds: [] };
+        for (let i = 0; i < size; i++) {
+            const element = document.createElement('div');
+            element.className = 'bird';
+            element.innerHTML = BirdFlocks.MARKUP;
+            element.style.setProperty('--flap-duration', `${BIRDS.FLAP_DURATION * this.random(0.8, 1.25)}ms`);
+            element.style.setProperty('--flap-delay', `${-this.random(0, BIRDS.FLAP_DURATION)}ms`);
+            this.container.appendChild(element);
+
+            flock.birds.push({
+                element,
+                x: startX - direction * this.random(0, BIRDS.NEIGHBOR_RADIUS),
+                y: centerY + this.random(-1, 1) * BIRDS.NEIGHBOR_RADIUS / 2,
+                vx: direction * speed * this.random(0.8, 1.1),
+                vy: speed * this.random(-0.2, 0.2),
+                scale: this.random(0.45, 0.65)
+            });
+        }
+        this.flocks.push(flock);
+    }
+
+    /**
+     * Boids rules plus migration, the sky band and obstacle avoidance
+     */
+    steer(bird, flock, obstacles, delta) {
+        const { BIRDS } = this.config;
+        const { width, height } = obstacles;
+        const cruise = BIRDS.SPEED * width;
+
+        let separationX = 0, separationY = 0;
+        let velocityX = 0, velocityY = 0;
+        let centerX = 0, centerY = 0;
+        let neighbors = 0;
+
+        flock.birds.forEach(other => {
+            if (other === bird) return;
+            const dx = bird.x - other.x;
+            const dy = bird.y - other.y;
+            const distance = Math.hypot(dx, dy);
+            if (distance > BIRDS.NEIGHBOR_RADIUS) return;
+
+            if (distance < BIRDS.SEPARATION_RADIUS && distance > 0) {
+                const push = (BIRDS.SEPARATION_RADIUS - distance) / BIRDS.SEPARATION_RADIUS * cruise;
+                separationX += dx / distance * push;
+                separationY += dy / distance * push;
+            }
+            velocityX += other.vx;
+            velocityY += other.vy;
+            centerX += other.x;
+            centerY += other.y;
+            neighbors++;
+        });
+
+        // Each rule is a change of velocity in pixels per second
+        let ax = separationX * BIRDS.SEPARATION;
+        let ay = separationY * BIRDS.SEPARATION;
+        if (neighbors) {
+            ax += (velocityX / neighbors - bird.vx) * BIRDS.ALIGNMENT;
+            ay += (velocityY / neighbors - bird.vy) * BIRDS.ALIGNMENT;
+            ax += (centerX / neighbors - bird.x) * BIRDS.COHESION;
+            ay += (centerY / neighbors - bird.y) * BIRDS.COHESION;
+        }
+
+        // Migration toward the far edge
+        ax += (flock.direction * cruise - bird.vx) * 0.5;
+
+        // Keep to the band of sky
+        const top = BIRDS.SKY_TOP * height;
+        const bottom = BIRDS.SKY_BOTTOM * height;
+        if (bird.y < top) ay += (top - bird.y) * 2;
+        if (bird.y > bottom) ay -= (bird.y - bottom) * 2;
+
+        const avoid = this.avoid(bird, obstacles, cruise);
+        ax += avoid.x;
+        ay += avoid.y;
+
+        bird.vx += ax * BirdFlocks.STEERING * delta;
+        bird.vy += ay * BirdFlocks.STEERING * delta;
+
+        // Never stall, never sprint; steep climbs and dives are flattened
+        bird.vy = Math.max(-cruise * 0.6, Math.min(cruise * 0.6, bird.vy));
+        const speed = Math.hypot(bird.vx, bird.vy) || 1;
+        const limit = Math.max(cruise * 0.5, Math.min(BIRDS.MAX_SPEED * width, speed));
+        bird.vx *= limit / speed;
+        bird.vy *= limit / speed;
+    }
+
+    /**
+     * Push away from the lighthouse and, while it is lit, out of the beam cone.
+     * Beam angles follow its CSS rotate(): 0 points down, positive swings left.
+     */
+    avoid(bird, { tower, origin, rotation, halfAngle, isOn }, cruise) {
+        const { AVOID_RADIUS } = this.config.BIRDS;
+        const force = { x: 0, y: 0 };
+        if (!AVOID_RADIUS) return force;
+
+        if (tower) {
+            // Look half a second ahead so birds turn before they reach the tower
+            const x = bird.x + bird.vx * 0.5;
+            const y = bird.y + bird.vy * 0.5;
+            const dx = x - Math.max(tower.left, Math.min(tower.right, x));
+            const dy = y - Math.max(tower.top, Math.min(tower.bottom, y));
+            const distance = Math.hypot(dx, dy);
+            if (distance < AVOID_RADIUS) {
+                const push = (1 - distance / AVOID_RADIUS) * cruise * 4;
+                if (distance) {
+                    force.x += dx / distance * push;
+                    force.y += dy / distance * push;
+                }
+                // Alongside the tower the way round is up, over the lantern
+                if (y > tower.top) force.y -= push;
+            }
+        }
+
+        if (isOn && origin) {
+            const bearing = Math.atan2(origin.x - bird.x, bird.y - origin.y) * 180 / Math.PI;
+            const offset = ((bearing - rotation) % 360 + 540) % 360 - 180;
+            const range = Math.hypot(bird.x - origin.x, bird.y - origin.y);
+            const margin = range ? AVOID_RADIUS / range * 180 / Math.PI : 0;
+
+            if (Math.abs(offset) < halfAngle + margin) {
+                // Sideways out of the cone, toward its nearer edge
+                const angle = bearing * Math.PI / 180;
+                const side = offset >= 0 ? 1 : -1;
+                const push = (1 - Math.abs(offset) / (halfAngle + margin)) * cruise * 3;
+                force.x += -Math.cos(angle) * side * push;
+                force.y += -Math.sin(angle) * side * push;
+            }
+        }
+        return force;
+    }
+
+    /**
+     * Move and render one bird; false once its flock has carried it off the far edge
+     */
+    move(bird, flock, { width }, delta) {
+        bird.x += bird.vx * delta;
+        bird.y += bird.vy * delta;
+
+        const margin = this.config.BIRDS.NEIGHBOR_RADIUS * 2;
+        if (flock.direction > 0 ? bird.x > width + margin : bird.x < -margin) {
+            bird.element.remove();
+            return false;
+        }
+
+        // Face the way it flies and bank with climbs and dives
+        const facing = bird.vx < 0 ? -1 : 1;
+        const bank = Math.atan2(bird.vy, Math.abs(bird.vx)) * 180 / Math.PI * facing;
+        bird.element.style.transform = `translate(${bird.x}px, ${bird.y}px) rotate(${bank.toFixed(1)}deg) scale(${bird.scale * facing}, ${bird.scale})`;
+        return true;
+    }
+
+    /**
+     * Birds in the sky: { flock, x, y } with x and y as fractions of the scene size
+     */
+    list(width, height) {
+        return this.flocks.flatMap(flock => flock.birds.map(({ x, y }) => ({
+            flock: flock.id, x: x / (width || 1), y: y / (height || 1)
+        })));
+    }
+
+    destroy() {
+        this.flocks.forEach(flock => flock.birds.forEach(bird => bird.element.remove()));
+        this.flocks = [];
+    }
+}
+
+/**
+ * Scheduled night-sky events: aurora displays, meteor showers streaming out
+ * of a radiant point, and satellites and aircraft crossing the sky. Each kind
+ * starts after a random (exponential) wait around its mean interval, drawn
+ * from a seed so a seeded scene repeats its sky; annual showers follow the
+ * scene date instead. Nothing new starts while the sky is hidden by day or
+ * cloud. Positions are in the container's pixels.
+ */
+class SkyEvents {
+    // Major annual showers: peak date, days of activity either side, zenithal
+    // hourly rate and radiant (right ascension in hours, declination in degrees)
+    static ANNUAL_SHOWERS = [
+        { name: 'Quadrantids', month: 1, day: 3, spread: 1, rate: 110, rightAscension: 15.33, declination: 49.5 },
+        { name: 'Lyrids', month: 4, day: 22, spread: 2, rate: 18, rightAscension: 18.07, declination: 33.3 },
+        { name: 'Eta Aquariids', month: 5, day: 6, spread: 4, rate: 50, rightAscension: 22.5, declination: -1 },
+        { name: 'Perseids', month: 8, day: 12, spread: 5, rate: 100, rightAscension: 3.2, declination: 58 },
+        { name: 'Orionids', month: 10, day: 21, spread: 4, rate: 20, rightAscension: 6.4, declination: 15.6 },
+        { name: 'Leonids', month: 11, day: 17, spread: 2, rate: 15, rightAscension: 10.27, declination: 21.6 },
+        { name: 'Geminids', month: 12, day: 14, spread: 3, rate: 150, rightAscension: 7.47, declination: 32.5 }
+    ];
+
+    static TYPES = ['aurora', 'meteor-shower', 'satellite', 'aircraft'];
+
+    static MAX_METEORS = 20;
+
+    constructor(container, config, notify) {
+        this.container = container;
+        this.config = config;
+        this.notify = notify; // Called with (type, event) when an event begins
+        this.events = []; // Running aurora, random showers and crossings
+        this.meteors = [];
+        this.annualShower = null; // { name, radiant, rate } while a real shower's radiant is up
+        this.nextId = 1;
+        this.rng = new SeededRandom();
+        this.timers = { AURORA: 0, SHOWER: 0, CRAFT: 0 }; // Seconds until the next event of each kind
+    }
+
+    /**
+     * Clear the sky and restart the event sequence from a seed
+     */
+    reset(seed) {
+        this.destroy();
+        this.nextId = 1;
+        this.rng = new SeededRandom(seed);
+        Object.keys(this.timers).forEach(kind => { this.timers[kind] = this.interval(kind); });
+        if (this.annualShower) this.annualShower.nextMeteor = 0;
+    }
+
+    random(min, max) {
+        return this.rng.next() * (max - min) + min;
+    }
+
+    /**
+     * Seconds until the next event of a kind, exponential around its mean
+     * interval; FREQUENCY 0 puts it off for ever
+     */
+    interval(kind) {
+        const { FREQUENCY, [`${kind}_INTERVAL`]: mean } = this.config.SKY_EVENTS;
+        if (!FREQUENCY) return Infinity;
+        return -Math.log(1 - this.rng.next()) * mean / 1000 / FREQUENCY;
+    }
+
+    /**
+     * Advance the sky by delta seconds. sky is the layer in pixels plus what
+     * may start: { width, height, visible, aurora }
+     */
+    update(delta, sky) {
+        const { SHOWERS } = this.config.SKY_EVENTS;
+
+        Object.keys(this.timers).forEach(kind => {
+            this.timers[kind] -= delta;
+            if (this.timers[kind] > 0) return;
+
+            this.timers[kind] = this.interval(kind);
+            if (!sky.visible) return;
+            if (kind === 'AURORA' && sky.aurora) this.start('aurora');
+            if (kind === 'SHOWER' && SHOWERS === 'random') this.start('meteor-shower');
+            if (kind === 'CRAFT') this.start(this.rng.next() < this.config.SKY_EVENTS.SATELLITE_SHARE ? 'satellite' : 'aircraft');
+        });
+
+        this.events = this.events.filter(event => this.updateEvent(event, delta, sky));
+        if (this.annualShower && sky.visible) this.stream(this.annualShower, this.annualShower.rate, delta, sky);
+        this.meteors = this.meteors.filter(meteor => this.updateMeteor(meteor, delta));
+    }
+
+    /**
+     * Begin an event of a type now; an aurora or shower already running is left alone
+     */
+    start(type) {
+        const { SKY_EVENTS } = this.config;
+        if ((type === 'aurora' || type === 'meteor-shower') && this.events.some(event => event.type === type)) return null;
+
+        const event = { id: this.nextId++, type, age: 0, element: null };
+        if (type === 'aurora') {
+            event.duration = SKY_EVENTS.AURORA_DURATION / 1000 * this.random(0.7, 1.3);
+            event.strength = this.random(0.5, 1);
+            event.element = this.createElement('sky-aurora');
+        } else if (type === 'meteor-shower') {
+            event.duration = SKY_EVENTS.SHOWER_DURATION / 1000 * this.random(0.7, 1.3);
+            event.radiant = { x: this.random(0.15, 0.85), y: this.random(0, 0.45) };
+            event.nextMeteor = 0;
+        } else {
+            // Crossings run edge to edge; satellites fly higher, faster and straighter
+            const isSatellite = type === 'satellite';
+            const direction = this.rng.next() < 0.5 ? 1 : -1;
+            const [top, bottom] = isSatellite ? [0.05, 0.6] : [0.2, 0.85];
+            event.duration = isSatellite ? this.random(25, 45) : this.random(40, 80);
+            event.from = { x: direction > 0 ? -0.02 : 1.02, y: this.random(top, bottom) };
+            event.to = { x: direction > 0 ? 1.02 : -0.02, y: event.from.y + this.random(-0.15, 0.15) * (isSatellite ? 2 : 1) };
+            event.element = this.createElement(`sky-craft ${type}`);
+            if (!isSatellite) {
+                event.element.innerHTML = '<span class="craft-beacon"></span><span class="craft-strobe"></span>';
+                event.element.style.setProperty('--blink-delay', `${-this.random(0, 2)}s`);
+            }
+        }
+
+        this.events.push(event);
+        this.notify(type, event);
+        return event;
+    }
+
+    createElement(className) {
+        const element = document.createElement('div');
+        element.className = className;
+        this.container.appendChild(element);
+        return element;
+    }
+
+    /**
+     * Age and render one event; false once it is over
+     */
+    updateEvent(event, delta, sky) {
+        event.age += delta;
+        const progress = event.age / event.duration;
+        if (progress >= 1) {
+            event.element?.remove();
+            return false;
+        }
+
+        // Displays swell in and die away over the first and last fifth
+        const fade = Math.min(1, progress / 0.2, (1 - progress) / 0.2);
+
+        if (event.type === 'aurora') {
+            event.element.style.opacity = (event.strength * fade).toFixed(3);
+        } else if (event.type === 'meteor-shower') {
+            this.stream(event, this.config.SKY_EVENTS.SHOWER_RATE * Math.sin(Math.PI * progress), delta, sky);
+        } else {
+            const x = (event.from.x + (event.to.x - event.from.x) * progress) * sky.width;
+            const y = (event.from.y + (event.to.y - event.from.y) * progress) * sky.height;
+            event.element.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)`;
+            // Satellites fade as they pass into the Earth's shadow
+            if (event.type === 'satellite') event.element.style.opacity = Math.min(1, progress / 0.1, (1 - progress) / 0.3).toFixed(3);
+        }
+        return true;
+    }
+
+    /**
+     * Launch meteors from a shower's radiant at rate meteors a minute
+     */
+    stream(shower, rate, delta, sky) {
+        if (rate <= 0) return;
+
+        shower.nextMeteor -= delta;
+        while (shower.nextMeteor <= 0) {
+            if (this.meteors.length < SkyEvents.MAX_METEORS) this.spawnMeteor(shower.radiant, sky);
+            shower.nextMeteor += -Math.log(1 - this.rng.next()) * 60 / rate;
+        }
+    }
+
+    /**
+     * A meteor streaks straight away from the radiant (fractions of the layer);
+     * ones that start near it are foreshortened into short trails
+     */
+    spawnMeteor(radiant, { width, height }) {
+        const scale = Math.max(width, height);
+        const angle = this.random(0, Math.PI * 2);
+        const start = this.random(0.05, 0.45) * scale;
+
+        const element = this.createElement('meteor');
+        const length = start * this.random(0.3, 0.6);
+        element.style.width = `${length.toFixed(1)}px`;
+
+        this.meteors.push({
+            element,
+            x: radiant.x * width + Math.cos(angle) * start,
+            y: radiant.y * height + Math.sin(angle) * start,
+            angle,
+            length,
+            speed: this.random(0.5, 1) * scale,
+            age: 0,
+            duration: this.random(0.4, 0.9)
+        });
+    }
+
+    /**
+     * Move one meteor's head along its path; the trail is drawn behind it
+     */
+    updateMeteor(meteor, delta) {
+        meteor.age += delta;
+        if (meteor.age >= meteor.duration) {
+            meteor.element.remove();
+            return false;
+        }
+
+        const { angle, length } = meteor;
+        const travel = meteor.speed * meteor.age;
+        const tailX = meteor.x + Math.cos(angle) * (travel - length);
+        const tailY = meteor.y + Math.sin(angle) * (travel - length);
+        meteor.element.style.transform = `translate(${tailX.toFixed(1)}px, ${tailY.toFixed(1)}px) rotate(${angle.toFixed(3)}rad)`;
+        meteor.element.style.opacity = Math.sin(Math.PI * meteor.age / meteor.duration).toFixed(3);
+        return true;
+    }
+
+    /**
+     * Stream meteors from a real shower's radiant ({ name, radiant, rate }
+     * with the radiant as fractions of the layer), or stop with null
+     */
+    setAnnualShower(shower) {
+        const previous = this.annualShower;
+        this.annualShower = shower ? { ...shower, nextMeteor: previous?.nextMeteor ?? 0 } : null;
+        if (shower && shower.name !== previous?.name) this.notify('meteor-shower', this.annualShower);
+    }
+
+    /**
+     * The annual shower active on a date, strongest first:
+     * { name, activity, rate, rightAscension, declination } or null
+     */
+    static getAnnualShower(date) {
+        const day = 86400000;
+        const year = date.getUTCFullYear();
+
+        const active = SkyEvents.ANNUAL_SHOWERS.map(shower => {
+            const offset = Math.min(...[year - 1, year, year + 1].map(peakYear =>
+                Math.abs(date - Date.UTC(peakYear, shower.month - 1, shower.day)) / day));
+            return { ...shower, activity: Math.exp(-((offset / shower.spread) ** 2)) };
+        }).filter(shower => shower.activity >= 0.1);
+
+        return active.sort((a, b) => b.rate * b.activity - a.rate * a.activity)[0] ?? null;
+    }
+
+    /**
+     * Running events: { id, type, progress } plus the radiant for showers and
+     * the position for crossings, as fractions of the layer
+     */
+    list() {
+        const events = this.events.map(event => {
+            const progress = Math.min(event.age / event.duration, 1);
+            const entry = { id: event.id, type: event.type, progress };
+            if (event.radiant) entry.radiant = { ...event.radiant };
+            if (event.from) {
+                entry.x = event.from.x + (event.to.x - event.from.x) * progress;
+                entry.y = event.from.y + (event.to.y - event.from.y) * progress;
+            }
+            return entry;
+        });
+
+        if (this.annualShower) {
+            const { name, radiant, rate } = this.annualShower;
+            events.push({ type: 'meteor-shower', name, radiant: { ...radiant }, rate, annual: true });
+        }
+        return events;
+    }
+
+    destroy() {
+        this.events.forEach(event => event.element?.remove());
+        this.meteors.forEach(meteor => meteor.element.remove());
+        this.events = [];
+        this.meteors = [];
+    }
+}
+
+/**
+ * Touch and pen gestures on the scene root: horizontal swipes, two-finger
+ * pinches and long presses. Mouse pointers are ignored so mouse behaviour
+ * stays as it is. The scene supplies the handlers:
+ * canSwipe(), swipe(dx), pinch(ratio, center), longPress(target), end(gesture),
+ * where dx is in pixels and ratio is the pinch spread since the last move.
+ */
+class GestureRecognizer {
+    static SWIPE_THRESHOLD = 12; // Pixels of travel before a touch stops being a tap or hold
+
+    constructor(element, config, handlers) {
+        this.element = element;
+        this.config = config;
+        this.handlers = handlers;
+        this.pointers = new Map(); // pointerId -> { x, y, startX, startY }
+        this.gesture = null; // 'swipe', 'pinch', 'pan' (left to the browser) or null
+        this.pinchDistance = 0;
+        this.longPressTimer = null;
+        this.longPressFired = false; // Lets the scene ignore the click that ends a long press
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+
+        element.addEventListener('pointerdown', this.handlePointerDown);
+        element.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+        element.addEventListener('pointerup', this.handlePointerUp);
+        element.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    handlePointerDown(e) {
+        if (!this.pointers.size) this.longPressFired = false;
+        if (e.pointerType === 'mouse') return;
+
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+
+        if (this.pointers.size === 1) {
+            this.gesture = null;
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                this.longPressFired = this.handlers.longPress(e.target) !== false;
+            }, this.config.LONG_PRESS);
+        } else if (this.pointers.size === 2) {
+            this.cancelLongPress();
+            this.gesture = 'pinch';
+            this.pinchDistance = this.getPinchDistance();
+        }
+    }
+
+    handlePointerMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        const dx = e.clientX - pointer.x;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        if (this.gesture === 'pinch') {
+            const distance = this.getPinchDistance();
+            if (this.pinchDistance && distance) this.handlers.pinch(distance / this.pinchDistance, this.getPinchCenter());
+            this.pinchDistance = distance;
+            return;
+        }
+
+        // Decide once per touch: mostly sideways is a swipe, anything else scrolls the page
+        const travelX = pointer.x - pointer.startX;
+        const travelY = pointer.y - pointer.startY;
+        if (!this.gesture && Math.hypot(travelX, travelY) > GestureRecognizer.SWIPE_THRESHOLD) {
+            this.cancelLongPress();
+            this.gesture = Math.abs(travelX) > Math.abs(travelY) && this.handlers.canSwipe() ? 'swipe' : 'pan';
+        }
+
+        if (this.gesture === 'swipe') this.handlers.swipe(dx);
+    }
+
+    handlePointerUp(e) {
+        if (!this.pointers.delete(e.pointerId)) return;
+        this.cancelLongPress();
+
+        const { gesture } = this;
+        if (gesture !== 'pinch' && this.pointers.size) return; // Other fingers are still down
+
+        // The finger left over from a pinch must not start a swipe
+        this.gesture = this.pointers.size ? 'pan' : null;
+        if (gesture === 'swipe' || gesture === 'pinch') this.handlers.end(gesture);
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+
+    getPinchDistance() {
+        const [a, b] = this.pointers.values();
+        return a && b ? Math.hypot(a.x - b.x, a.y - b.y) : 0;
+    }
+
+    getPinchCenter() {
+        const [a, b] = this.pointers.values();
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    }
+
+    destroy() {
+        this.cancelLongPress();
+        this.pointers.clear();
+        this.element.removeEventListener('pointerdown', this.handlePointerDown);
+        this.element.removeEventListener('pointermove', this.handlePointerMove);
+        this.element.removeEventListener('pointerup', this.handlePointerUp);
+        this.element.removeEventListener('pointercancel', this.handlePointerUp);
+    }
+}
+
+/**
+ * Draws the live scene DOM into a canvas for export. The scene is cloned with
+ * every element's computed style inlined, which freezes animated values at the
+ * current frame, then wrapped in an SVG <foreignObject> and drawn as an image.
+ * Canvas layers are copied in as images and ::before/::after boxes are rebuilt
+ * from generated rules.
+ */
+class SceneRecorder {
+    static SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+    static MAX_SIZE = 8192;
+
+    // Properties that would restart motion in the copy or do nothing in an image
+    static SKIPPED_PROPERTIES = /^(--|animation|transition|will-change|cursor|pointer-events|user-select|-webkit-user-select|touch-action)/;
+
+    // Scene controls and overlays left out unless includeControls is set
+    static CONTROLS_SELECTOR = '.theme-toggle, .sound-toggle, .motion-toggle, .panel-toggle, .scene-announcer, .keyboard-help, .mode-menu, .keeper-panel';
+
+    constructor(root, { includeControls = false } = {}) {
+        this.root = root;
+        this.includeControls = includeControls;
+        this.defaults = new Map(); // Element type -> computed style with no author CSS
+        this.sandbox = null;
+        this.pseudoRules = [];
+        this.savedSize = null;
+    }
+
+    static get canRecordVideo() {
+        return typeof MediaRecorder !== 'undefined'
+            && typeof HTMLCanvasElement.prototype.captureStream === 'function'
+            && MediaRecorder.isTypeSupported('video/webm');
+    }
+
+    /**
+     * Lay the scene out at an aspect ratio (width / height) so crops such as
+     * square or portrait are composed rather than cut; restore() undoes it
+     */
+    setAspectRatio(aspectRatio) {
+        const { root } = this;
+        const width = root.clientWidth;
+        const height = root.clientHeight;
+        if (!width || !height || Math.abs(width / height - aspectRatio) < 0.01) return false;
+
+        this.savedSize = { width: root.style.width, height: root.style.height };
+        root.style.width = `${Math.round(height * aspectRatio)}px`;
+        root.style.height = `${height}px`;
+        return true;
+    }
+
+    /**
+     * Draw the scene as it is now into a 2D context of width x height pixels
+     */
+    async renderFrame(context, width, height) {
+        const layoutWidth = this.root.clientWidth || width;
+        const layoutHeight = this.root.clientHeight || height;
+
+        this.pseudoRules = [];
+        const clone = this.cloneNode(this.root, this.root.parentElement);
+        clone.style.margin = '0';
+        clone.style.position = 'relative';
+        clone.style.left = '0';
+        clone.style.top = '0';
+
+        const style = document.createElement('style');
+        style.textContent = this.pseudoRules.join('\n');
+        clone.prepend(style);
+
+        const markup = new XMLSerializer().serializeToString(clone);
+        const svg = `<svg xmlns="${SceneRecorder.SVG_NAMESPACE}" width="${width}" height="${height}" viewBox="0 0 ${layoutWidth} ${layoutHeight}">`
+            + `<foreignObject x="0" y="0" width="${layoutWidth}" height="${layoutHeight}">${markup}</foreignObject></svg>`;
+
+        const image = new Image();
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        await image.decode();
+
+        context.clearRect(0, 0, width, height);
+        context.drawImage(image, 0, 0, width, height);
+    }
+
+    /**
+     * Copy an element and its subtree with the computed styles inlined
+     */
+    cloneNode(node, parent) {
+        if (node.nodeType === Node.TEXT_NODE) return node.cloneNode(false);
+        if (node.nodeType !== Node.ELEMENT_NODE || node.matches('script, style, audio')) return null;
+        if (!this.includeControls && node.matches(SceneRecorder.CONTROLS_SELECTOR)) return null;
+
+        // Canvas pixels do not survive serialization; carry them over as an image
+        const clone = node instanceof HTMLCanvasElement ? this.canvasToImage(node) : node.cloneNode(false);
+        this.copyStyle(node, clone, parent);
+        this.copyPseudoElements(node, clone);
+
+        node.childNodes.forEach(child => {
+            const childClone = this.cloneNode(child, node);
+            if (childClone) clone.appendChild(childClone);
+        });
+        return clone;
+    }
+
+    canvasToImage(canvas) {
+        const image = document.createElement('img');
+        image.src = canvas.toDataURL('image/png');
+        return image;
+    }
+
+    /**
+     * Inline every property that neither the defaults nor inheritance would reproduce
+     */
+    copyStyle(node, clone, parent) {
+        const style = getComputedStyle(node);
+        const parentStyle = parent ? getComputedStyle(parent) : null;
+        const defaults = this.getDefaultStyle(node);
+
+        clone.removeAttribute('style');
+        for (let i = 0; i < style.length; i++) {
+            const name = style[i];
+            if (SceneRecorder.SKIPPED_PROPERTIES.test(name)) continue;
+
+            const value = style.getPropertyValue(name);
+            if (value === defaults.get(name) && (!parentStyle || value === parentStyle.getPropertyValue(name))) continue;
+            clone.style.setProperty(name, value);
+        }
+    }
+
+    copyPseudoElements(node, clone) {
+        ['::before', '::after'].forEach(pseudo => {
+            const style = getComputedStyle(node, pseudo);
+            if (!style.content || style.content === 'none' || style.content === 'normal') return;
+
+            const className = `scene-export-${this.pseudoRules.length}`;
+            const declarations = [];
+            for (let i = 0; i < style.length; i++) {
+                const name = style[i];
+                if (!SceneRecorder.SKIPPED_PROPERTIES.test(name)) declarations.push(`${name}: ${style.getPropertyValue(name)};`);
+            }
+
+            clone.classList.add(className);
+            this.pseudoRules.push(`.${className}${pseudo} { ${declarations.join(' ')} }`);
+        });
+    }
+
+    /**
+     * Computed style of an element type with only browser defaults, from a blank frame
+     */
+    getDefaultStyle(node) {
+        const key = `${node.namespaceURI}:${node.localName}`;
+        if (this.defaults.has(key)) return this.defaults.get(key);
+
+        if (!this.sandbox) {
+            this.sandbox = document.createElement('iframe');
+            this.sandbox.setAttribute('aria-hidden', 'true');
+            this.sandbox.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+            document.body.appendChild(this.sandbox);
+        }
+
+        const sandboxDocument = this.sandbox.contentDocument;
+        const isSvg = node.namespaceURI === SceneRecorder.SVG_NAMESPACE && node.localName !== 'svg';
+        const host = isSvg ? sandboxDocument.createElementNS(SceneRecorder.SVG_NAMESPACE, 'svg') : sandboxDocument.body;
+        const element = sandboxDocument.createElementNS(node.namespaceURI, node.localName);
+
+        if (isSvg) sandboxDocument.body.appendChild(host);
+        host.appendChild(element);
+
+        const style = getComputedStyle(element);
+        const values = new Map();
+        for (let i = 0; i < style.length; i++) values.set(style[i], style.getPropertyValue(style[i]));
+
+        (isSvg ? host : element).remove();
+        this.defaults.set(key, values);
+        return values;
+    }
+
+    /**
+     * Record frames into WebM. The recorder is paused while each frame is drawn,
+     * so drawing time never shows up in the video, and runs for one frame interval
+     * after it. That interval is a timer, so a busy machine that fires it late
+     * lengthens the frame by as much; export "frames" when timing must be exact.
+     */
+    async recordVideo(canvas, { frameCount, fps, bitrate, drawFrame, signal }) {
+        const stream = canvas.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+        const chunks = [];
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+        const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+        recorder.addEventListener('dataavailable', (e) => {
+            if (e.data.size) chunks.push(e.data);
+        });
+
+        recorder.start();
+        recorder.pause();
+        try {
+            for (let frame = 0; frame < frameCount; frame++) {
+                signal?.throwIfAborted();
+                await drawFrame(frame);
+
+                recorder.resume();
+                track.requestFrame();
+                await wait(1000 / fps);
+                recorder.pause();
+            }
+        } finally {
+            recorder.stop();
+            await stopped;
+            track.stop();
+        }
+
+        return new Blob(chunks, { type: mimeType });
+    }
+
+    /**
+     * Put the scene back to its own size and drop the sandbox frame
+     */
+    restore() {
+        if (this.savedSize) {
+            this.root.style.width = this.savedSize.width;
+            this.root.style.height = this.savedSize.height;
+            this.savedSize = null;
+        }
+        this.sandbox?.remove();
+        this.sandbox = null;
+        this.defaults.clear();
+    }
+}
+
+/**
+ * Named scene themes. Each theme sets the scene palette (CSS colors for the
+ * sky, sea, shore, text, clouds and birds), which sky elements show, and the
+ * lighting: whether it is night (moon, pulsing lantern, ships that need the
+ * light) and how bright the beam is drawn.
+ *
+ * Host pages add their own themes with LighthouseScene.registerTheme() before
+ * the scenes start. A theme builds on 'dark', or 'light' when it is not a
+ * night theme, unless `extends` names another theme; only what differs needs
+ * to be given.
+ */
+class ThemeRegistry {
+    // Palette keys and the custom properties they set on the scene root
+    static PALETTE = {
+        skyTop: '--sky-top',
+        skyBottom: '--sky-bottom',
+        seaTop: '--sea-top',
+        seaBottom: '--sea-bottom',
+        shore: '--shore',
+        text: '--scene-text',
+        cloud: '--cloud-color',
+        bird: '--bird-color'
+    };
+
+    // Palette keys the automatic day/night cycle blends itself
+    static BLENDED = ['skyTop', 'skyBottom', 'seaTop', 'seaBottom'];
+
+    // Elements a theme can show or hide
+    static ELEMENTS = ['stars', 'clouds', 'birds', 'aurora'];
+
+    static LIGHTING = ['night', 'beam'];
+
+    static themes = new Map();
+
+    static BUILT_IN = {
+        dark: {
+            extends: null,
+            label: 'Night',
+            icon: '🌙',
+            palette: {
+                skyTop: 'var(--sky-dark-top)',
+                skyBottom: 'var(--sky-dark-bottom)',
+                seaTop: 'var(--sea-dark-top)',
+                seaBottom: 'var(--sea-dark-bottom)',
+                shore: 'var(--shore-dark)',
+                text: 'var(--text-dark)',
+                cloud: 'rgba(255, 255, 255, 0.3)',
+                bird: '#777'
+            },
+            show: { stars: true, clouds: false, birds: true, aurora: false },
+            lighting: { night: true, beam: 1 }
+        },
+        light: {
+            extends: null,
+            label: 'Day',
+            icon: '☀️',
+            palette: {
+                skyTop: 'var(--sky-light-top)',
+                skyBottom: 'var(--sky-light-bottom)',
+                seaTop: 'var(--sea-light-top)',
+                seaBottom: 'var(--sea-light-bottom)',
+                shore: 'var(--shore-light)',
+                text: 'var(--text-light)',
+                cloud: 'rgba(255, 255, 255, 0.3)',
+                bird: '#333'
+            },
+            show: { stars: false, clouds: true, birds: true, aurora: false },
+            lighting: { night: false, beam: 1 }
+        },
+        sunset: {
+            extends: 'light',
+            label: 'Sunset',
+            icon: '🌇',
+            palette: {
+                skyTop: '#3b2c5e',
+                skyBottom: '#f4845f',
+                seaTop: '#6b3f5e',
+                seaBottom: '#2c2447',
+                shore: '#5a3a2a',
+                text: '#fbe3d0',
+                cloud: 'rgba(255, 170, 130, 0.35)',
+                bird: '#2b1d2e'
+            },
+            lighting: { beam: 0.7 }
+        },
+        'polar-night': {
+            extends: 'dark',
+            label: 'Polar night',
+            icon: '🌌',
+            palette: {
+                skyTop: '#020b1a',
+                skyBottom: '#0b2a3a',
+                seaTop: '#061a26',
+                seaBottom: '#0a2533',
+                shore: '#dfe7ee',
+                text: '#d8f3ff'
+            },
+            show: { birds: false, aurora: true }
+        },
+        stormy: {
+            extends: 'dark',
+            label: 'Stormy',
+            icon: '⛈️',
+            palette: {
+                skyTop: '#1c2127',
+                skyBottom: '#3b4550',
+                seaTop: '#1b2a30',
+                seaBottom: '#2c3e44',
+                shore: '#2a2620',
+                text: '#c9d1d9',
+                cloud: 'rgba(90, 100, 110, 0.6)'
+            },
+            show: { stars: false, clouds: true, birds: false }
+        },
+        'high-contrast': {
+            extends: 'dark',
+            label: 'High contrast',
+            icon: '◐',
+            palette: {
+                skyTop: '#000000',
+                skyBottom: '#000000',
+                seaTop: '#0b3d91',
+                seaBottom: '#062a66',
+                shore: '#ffd400',
+                text: '#ffffff',
+                bird: '#ffffff'
+            }
+        }
+    };
+
+    static {
+        Object.entries(ThemeRegistry.BUILT_IN).forEach(([name, definition]) => ThemeRegistry.register(name, definition));
+    }
+
+    /**
+     * Add or replace a theme; an invalid definition is rejected with a warning
+     */
+    static register(name, definition = {}) {
+        if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name) || name === 'auto') {
+            console.warn(`Invalid theme name '${name}': use lowercase letters, digits and hyphens`);
+            return false;
+        }
+
+        const problem = ThemeRegistry.validate(definition);
+        if (problem) {
+            console.warn(`Invalid theme '${name}': ${problem}`);
+            return false;
+        }
+
+        const parentName = 'extends' in definition
+            ? definition.extends
+            : (definition.lighting?.night === false ? 'light' : 'dark');
+        const parent = parentName === null ? null : ThemeRegistry.get(parentName);
+        if (parentName !== null && !parent) {
+            console.warn(`Theme '${name}' extends unknown theme '${parentName}'`);
+            return false;
+        }
+
+        ThemeRegistry.themes.set(name, Object.freeze({
+            name,
+            label: definition.label ?? name,
+            icon: definition.icon ?? parent?.icon ?? '🎨',
+            palette: Object.freeze({ ...parent?.palette, ...definition.palette }),
+            show: Object.freeze({ ...parent?.show, ...definition.show }),
+            lighting: Object.freeze({ night: true, beam: 1, ...parent?.lighting, ...definition.lighting })
+        }));
+        return true;
+    }
+
+    /**
+     * First problem with a theme definition, or null when it is valid
+     */
+    static validate({ label, icon, palette = {}, show = {}, lighting = {} }) {
+        if (label !== undefined && typeof label !== 'string') return 'label must be a string';
+        if (icon !== undefined && typeof icon !== 'string') return 'icon must be a string';
+
+        const unknown = [
+            ...Object.keys(palette).filter(key => !(key in ThemeRegistry.PALETTE)).map(key => `palette.${key}`),
+            ...Object.keys(show).filter(key => !ThemeRegistry.ELEMENTS.includes(key)).map(key => `show.${key}`),
+            ...Object.keys(lighting).filter(key => !ThemeRegistry.LIGHTING.includes(key)).map(key => `lighting.${key}`)
+        ];
+        if (unknown.length) return `unknown setting '${unknown[0]}'`;
+
+        const isColor = value => typeof value === 'string' && value.trim() !== ''
+            && (typeof CSS === 'undefined' || !CSS.supports || CSS.supports('color', value));
+        const color = Object.keys(palette).find(key => !isColor(palette[key]));
+        if (color) return `palette.${color} must be a CSS color`;
+
+        const element = Object.keys(show).find(key => typeof show[key] !== 'boolean');
+        if (element) return `show.${element} must be true or false`;
+
+        const { night, beam } = lighting;
+        if (night !== undefined && typeof night !== 'boolean') return 'lighting.night must be true or false';
+        if (beam !== undefined && !(typeof beam === 'number' && beam >= 0 && beam <= 1)) {
+            return 'lighting.beam must be between 0 and 1';
+        }
+        return null;
+    }
+
+    static get(name) {
+        return ThemeRegistry.themes.get(name) ?? null;
+    }
+
+    static has(name) {
+        return ThemeRegistry.themes.has(name);
+    }
+
+    /**
+     * Registered themes as { name, label, icon }, in registration order
+     */
+    static list() {
+        return [...ThemeRegistry.themes.values()].map(({ name, label, icon }) => ({ name, label, icon }));
+    }
+}
+
+/**
+ * In-memory stand-in for localStorage when storage is blocked or disabled
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Versioned user preferences saved as one JSON record in localStorage.
+ *
+ * Records written by older versions are upgraded through MIGRATIONS on load
+ * (MIGRATIONS[n] turns version n into n + 1). Invalid values are dropped with
+ * a warning. When storage is unavailable an in-memory store keeps the
+ * preferences for the current page only.
+ */
+class PreferenceStore {
+    static VERSION = 1;
+
+    // Allowed values for each preference
+    static SCHEMA = {
+        theme: value => value === 'auto' || ThemeRegistry.has(value),
+        lightMode: value => LighthouseScene.LIGHT_MODES.includes(value),
+        lampIntensity: value => typeof value === 'number' && value >= 0 && value <= 1,
+        schedule: value => Array.isArray(value) && KeeperSchedule.isValid(value, LighthouseScene.LIGHT_MODES),
+        volume: value => typeof value === 'number' && value >= 0 && value <= 1,
+        reducedMotion: value => typeof value === 'boolean',
+        weather: value => LighthouseScene.WEATHER_STATES.includes(value)
+    };
+
+    // Keys used before the versioned record existed
+    static LEGACY_KEYS = {
+        REDUCED_MOTION: 'lighthouse-scene:reduced-motion'
+    };
+
+    static MIGRATIONS = [
+        // 0 -> 1: the standalone reduced-motion key ('on'/'off') becomes a boolean field
+        data => {
+            const { legacyReducedMotion, ...rest } = data;
+            const reducedMotion = { on: true, off: false }[legacyReducedMotion];
+            return reducedMotion === undefined ? rest : { ...rest, reducedMotion };
+        }
+    ];
+
+    constructor(key, persistent = true) {
+        this.key = key;
+        this.storage = persistent ? PreferenceStore.getStorage() : new MemoryStorage();
+        this.values = this.load();
+    }
+
+    /**
+     * localStorage if it can be written, otherwise an in-memory fallback
+     */
+    static getStorage() {
+        try {
+            const { localStorage } = window;
+            const probe = '__lighthouse-scene-probe__';
+            localStorage.setItem(probe, probe);
+            localStorage.removeItem(probe);
+            return localStorage;
+        } catch (error) {
+            return new MemoryStorage(); // Storage blocked (privacy mode, sandboxed frame, quota)
+        }
+    }
+
+    load() {
+        let data;
+
+        try {
+            const stored = this.storage.getItem(this.key);
+            data = stored ? JSON.parse(stored) : this.readLegacy();
+        } catch (error) {
+            console.warn('Ignoring unreadable saved preferences:', error.message);
+            return {};
+        }
+        if (!SceneConfig.isPlainObject(data)) return {};
+
+        const storedVersion = Number.isInteger(data.version) ? data.version : 0;
+        if (storedVersion > PreferenceStore.VERSION) {
+            console.warn(`Saved preferences are version ${storedVersion}, newer than ${PreferenceStore.VERSION}; ignoring them`);
+            return {};
+        }
+
+        for (let version = storedVersion; version < PreferenceStore.VERSION; version++) {
+            data = PreferenceStore.MIGRATIONS[version](data);
+        }
+
+        const values = {};
+        Object.entries(data).forEach(([name, value]) => {
+            if (name === 'version') return;
+            if (PreferenceStore.SCHEMA[name]?.(value)) {
+                values[name] = value;
+            } else {
+                console.warn(`Ignoring saved preference '${name}':`, value);
+            }
+        });
+
+        if (storedVersion < PreferenceStore.VERSION) {
+            this.values = values;
+            this.save();
+            Object.values(PreferenceStore.LEGACY_KEYS).forEach(key => this.storage.removeItem(key));
+        }
+        return values;
+    }
+
+    /**
+     * Version 0: preferences from the separate keys used before the record existed
+     */
+    readLegacy() {
+        const legacyReducedMotion = this.storage.getItem(PreferenceStore.LEGACY_KEYS.REDUCED_MOTION);
+        return legacyReducedMotion === null ? null : { version: 0, legacyReducedMotion };
+    }
+
+    get(name) {
+        return this.values[name];
+    }
+
+    getAll() {
+        return { ...this.values };
+    }
+
+    /**
+     * Save one preference; undefined removes it
+     */
+    set(name, value) {
+        if (value === undefined) {
+            delete this.values[name];
+        } else if (PreferenceStore.SCHEMA[name]?.(value)) {
+            this.values[name] = value;
+        } else {
+            console.warn(`Invalid preference '${name}':`, value);
+            return false;
+        }
+
+        this.save();
+        return true;
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ version: PreferenceStore.VERSION, ...this.values }));
+        } catch (error) {
+            console.warn('Could not save preferences:', error.message);
+        }
+    }
+
+    /**
+     * Forget every saved preference
+     */
+    clear() {
+        this.values = {};
+        try {
+            this.storage.removeItem(this.key);
+        } catch (error) {
+            console.warn('Could not clear preferences:', error.message);
+        }
+    }
+}
+
+/**
+ * Keeper's daily schedule of light mode changes by local time of day
+ * (e.g. "18:00 moving, 21:00 emergency, 21:15 moving, 07:00 off").
+ *
+ * Each entry stays in force until the next one, wrapping round midnight,
+ * so the schedule repeats every day.
+ */
+class KeeperSchedule {
+    constructor(entries = []) {
+        // { time: 'HH:MM', minutes, mode } in order of time of day
+        this.entries = [...entries].sort((a, b) => a.minutes - b.minutes);
+    }
+
+    /**
+     * Parse "HH:MM mode" entries separated by commas or new lines, or an
+     * array of { time, mode }; throws on a bad time or an unknown mode
+     */
+    static parse(input, modes) {
+        const items = Array.isArray(input)
+            ? input
+            : String(input ?? '').split(/[,\n]/).map(text => text.trim()).filter(Boolean).map(text => {
+                const [time, mode] = text.split(/\s+/);
+                return { time, mode };
+            });
+
+        return new KeeperSchedule(items.map(item => {
+            const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(item?.time));
+            if (!match) throw new Error(`Invalid schedule time '${item?.time}'`);
+            if (!modes.includes(item.mode)) throw new Error(`Unknown light mode '${item.mode}' at ${item.time}`);
+
+            return {
+                time: `${match[1].padStart(2, '0')}:${match[2]}`,
+                minutes: Number(match[1]) * 60 + Number(match[2]),
+                mode: item.mode
+            };
+        }));
+    }
+
+    static isValid(input, modes) {
+        try {
+            KeeperSchedule.parse(input, modes);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Entry in force at a date: the last one at or before its local time of
+     * day, or yesterday's last entry before the first; null when empty
+     */
+    entryAt(date) {
+        if (!this.entries.length) return null;
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        return this.entries.findLast(entry => entry.minutes <= minutes) ?? this.entries[this.entries.length - 1];
+    }
+
+    toJSON() {
+        return this.entries.map(({ time, mode }) => ({ time, mode }));
+    }
+
+    toString() {
+        return this.entries.map(({ time, mode }) => `${time} ${mode}`).join(', ');
+    }
+}
+
+/**
+ * Scene controller and public scripting API.
+ *
+ * Each instance renders into, and scopes all of its DOM, theme state and
+ * listeners to, its own root element, so several scenes can share a page.
+ * Host pages drive the scene through setTheme(), setLightMode(), setSound(),
+ * setWeather(), pause()/resume() and snapshot()/restore(), and subscribe to
+ * '…change' events carrying the new state in event.detail.
+ */
+class LighthouseScene extends EventTarget {
+    static WEATHER_STATES = ['clear', 'overcast', 'rain', 'fog', 'storm'];
+    static LIGHT_MODES = ['moving', 'emergency', 'off', 'manual']; // In cycling order; keys 1-4 select them
+    static MODE_NAMES = { moving: 'Normal operation', emergency: 'Emergency', off: 'Light off', manual: 'Manual aiming' };
+    static SWEEP_PERIOD = 20 * Math.PI; // Seconds per swing of the default moving beam
+
+    // Elements moved by each PARALLAX.DEPTHS entry; the sky canvas also carries the canvas clouds
+    static PARALLAX_LAYERS = {
+        STARS: '.stars-container, .shooting-stars-container, .sky-canvas, .sky-events',
+        SKY: '.celestial-body, .aurora',
+        CLOUDS: '.clouds-container',
+        BIRDS: '.birds-container',
+        LIGHTHOUSE: '.lighthouse-container, .shore',
+        WAVES: '.waves-container',
+        SEA: '.sea, .sea-surface, .ships-container'
+    };
+
+    // Keyboard shortcuts, also listed in the '?' help overlay. An action returning false leaves the key alone.
+    static KEY_BINDINGS = [
+        { keys: ['t'], display: 'T', label: 'Next theme', action: scene => scene.handleThemeToggle() },
+        { keys: ['l'], display: 'L', label: 'Cycle the light mode', action: scene => scene.handleLighthouseClick() },
+        { keys: ['m'], display: 'M', label: 'Mute or unmute sound', action: scene => scene.handleSoundToggle() },
+        { keys: ['r'], display: 'R', label: 'Still scene (reduced motion) on or off', action: scene => scene.handleMotionToggle() },
+        { keys: ['1', '2', '3', '4'], display: '1–4', label: 'Normal, emergency, light off, or manual aiming', action: (scene, key) => scene.setLightMode(scene.lightModes[Number(key) - 1]) },
+        { keys: ['ArrowLeft', 'ArrowRight'], display: '← →', label: 'Swing the beam (manual aiming)', action: (scene, key) => scene.lightMode === 'manual' && scene.aimBeam(scene.beamAim + (key === 'ArrowLeft' ? 1 : -1) * scene.CONFIG.LIGHTHOUSE.MODES.MANUAL.KEY_STEP) },
+        { keys: [' '], display: 'Space', label: 'Pause or resume motion', action: scene => (scene.isPaused ? scene.resume() : scene.pause()) },
+        { keys: ['k'], display: 'K', label: "Show or hide the keeper's control panel", action: scene => scene.togglePanel() },
+        { keys: ['?'], display: '?', label: 'Show or hide keyboard shortcuts', action: scene => scene.toggleHelp() },
+        { keys: ['Escape'], display: 'Esc', label: "Close keyboard shortcuts, the mode menu or the keeper's panel", action: scene => scene.toggleModeMenu(false) || scene.togglePanel(false) || scene.toggleHelp(false) }
+    ];
+    static SURF_INTENSITY = { clear: 0.4, overcast: 0.5, rain: 0.7, fog: 0.3, storm: 1 };
+    static SNAPSHOT_VERSION = 1;
+
+    // Scenes between construction and destroy(), however they were mounted
+    static instances = new Set();
+
+    /**
+     * Scene markup rendered into an empty root element
+     */
+    static createMarkup() {
+        return `
+            <button class="theme-toggle cinematic-transition" aria-label="Switch to Day theme" title="Change theme">🌙</button>
+            <button class="sound-toggle cinematic-transition" aria-label="Toggle Sound" title="Toggle ocean sounds">🔇</button>
+            <button class="motion-toggle cinematic-transition" aria-pressed="false" aria-label="Reduce motion" title="Still scene (reduced motion)">🌊</button>
+            <button class="panel-toggle cinematic-transition" aria-expanded="false" aria-label="Keeper's control panel" title="Keeper's control panel">🗝️</button>
+            <div class="scene-announcer visually-hidden" role="status" aria-live="polite" aria-atomic="true"></div>
+
+            <div class="parallax-container">
+                <section class="parallax-layer parallax-layer-back" aria-label="Sky and celestial elements">
+                    <div class="sky-elements">
+                        <div class="celestial-body sun animated-element" role="img" aria-label="Sun - appears in day mode"></div>
+                        <div class="celestial-body moon animated-element" role="img" aria-label="Moon - appears in night mode"></div>
+                        <div class="stars-container" aria-label="Twinkling stars"></div>
+                        <div class="shooting-stars-container" aria-label="Shooting stars"></div>
+                        <div class="aurora" aria-hidden="true"></div>
+                        <div class="sky-events" aria-hidden="true"></div>
+                    </div>
+                </section>
+
+                <section class="parallax-layer parallax-layer-base" aria-label="Main lighthouse scene">
+                    <div class="birds-container" aria-hidden="true"></div>
+
+                    <article class="lighthouse-container staggered-element" role="group"
+                        aria-label="Lighthouse" data-mode="Normal operation">
+                        <div class="light-beam animated-element" role="presentation" aria-label="Lighthouse beam"></div>
+                        <div class="lantern animated-element" aria-hidden="true"
+                            title="Click to cycle: Normal → Emergency → Off → Manual"></div>
+                        <div class="lighthouse-roof" role="presentation"></div>
+                        <div class="lighthouse-top" role="presentation"></div>
+                        <div class="lighthouse" role="button" tabindex="0" aria-keyshortcuts="L 1 2 3 4"
+                            aria-label="Lighthouse light: Normal operation. Activate to change mode"
+                            title="Interactive lighthouse with four modes">
+                            <div class="window window1" role="presentation" aria-label="Lighthouse window"></div>
+                            <div class="window window2" role="presentation" aria-label="Lighthouse window"></div>
+                        </div>
+                        <div class="lighthouse-base" role="presentation"></div>
+                    </article>
+
+                    <div class="shore" role="presentation" aria-label="Sandy shore"></div>
+
+                    <section class="waves-container" aria-label="Animated ocean waves">
+                        <div class="wave wave1 animated-element" role="presentation"></div>
+                        <div class="wave wave2 animated-element" role="presentation"></div>
+                        <div class="wave wave3 animated-element" role="presentation"></div>
+                    </section>
+
+                    <div class="sea" role="presentation" aria-label="Ocean"></div>
+
+                    <div class="sea-surface" aria-hidden="true">
+                        <div class="sea-reflection"></div>
+                        <div class="beam-glint"></div>
+                    </div>
+
+                    <div class="ships-container" aria-hidden="true"></div>
+
+                    <div class="clouds-container animated-element" role="presentation" aria-label="Drifting clouds"></div>
+
+                    <div class="weather-layer" aria-hidden="true">
+                        <div class="weather-overlay"></div>
+                        <div class="fog-container">
+                            <div class="fog-bank fog-bank1"></div>
+                            <div class="fog-bank fog-bank2"></div>
+                            <div class="fog-bank fog-bank3"></div>
+                        </div>
+                        <div class="rain-container"></div>
+                        <div class="lightning-flash"></div>
+                    </div>
+                </section>
+            </div>
+        `;
+    }
+
+    constructor(root = document.querySelector('[data-lighthouse-scene]'), options = {}) {
+        super();
+
+        if (!(root instanceof Element)) {
+            throw new TypeError('LighthouseScene needs a root element to mount into');
+        }
+
+        this.root = root;
+        this.options = options;
+
+        // Lifecycle: 'created', then 'running' after init() and 'destroyed' after destroy()
+        this.lifecycle = 'created';
+        this.teardown = new AbortController(); // Aborted by destroy(), removing every listener added with listen()
+        this.timers = new Set(); // Pending setTimer() timeouts
+
+        // The root's own classes, styles and content, handed back by destroy()
+        this.rootState = {
+            className: root.getAttribute('class'),
+            style: root.getAttribute('style'),
+            rendered: false, // Whether the scene rendered the markup itself
+            content: [] // Fallback nodes the rendered markup replaced
+        };
+        LighthouseScene.instances.add(this);
+
+        // Configuration: defaults, then data-* attributes, then options.config
+        this.CONFIG = SceneConfig.resolve(root.dataset, options.config);
+
+        // Saved user choices fill in whatever the page's options and data-* attributes leave unset
+        this.preferences = new PreferenceStore(this.CONFIG.PREFERENCES.KEY, this.CONFIG.PREFERENCES.ENABLED);
+        this.savingPreferences = true; // False while withoutSaving() applies state the user did not choose
+        const saved = this.preferences.getAll();
+
+        // Lighthouse modes configuration
+        this.lightModes = [...LighthouseScene.LIGHT_MODES];
+        this.beamAim = 0; // Manual mode target angle in degrees
+        this.currentLightModeIndex = this.resolveInitialLightMode(options.lightMode || root.dataset.lightMode || saved.lightMode);
+        this.lightCharacteristic = null; // Optional chart characteristic for moving mode
+
+        // Keeper's lamp intensity (0-1) and daily schedule of light modes
+        this.lampIntensity = saved.lampIntensity ?? 1;
+        this.keeper = {
+            schedule: this.resolveInitialSchedule(saved.schedule ?? this.CONFIG.KEEPER.SCHEDULE),
+            applied: null, // 'HH:MM mode' of the entry last applied, so each one switches the light only once
+            timer: null
+        };
+
+        // Seeded randomness: the same seed always generates the same scene
+        this.seed = SeededRandom.normalize(options.seed ?? root.dataset.seed ?? SeededRandom.randomSeed());
+        this.rng = new SeededRandom(this.seed);
+
+        // DOM element cache
+        this.elements = this.cacheElements();
+
+        // Automatic day/night cycle ('auto' theme)
+        this.daylight = {
+            enabled: false,
+            sunUp: null
+        };
+
+        // Fixed sky date set with setSceneDate(); null follows the real clock
+        this.sceneDate = null;
+
+        // Public scene state, changed only through the API methods
+        this.theme = this.resolveInitialTheme(options.theme || root.dataset.theme || saved.theme);
+        this.soundEnabled = false;
+        this.isPaused = false;
+
+        // Reduced motion: 'auto' follows prefers-reduced-motion, true/false is the user's stored choice
+        this.motionPreference = saved.reducedMotion ?? 'auto';
+        this.motionQuery = null;
+        this.isStill = null; // Whether the still scene is applied (null before init)
+
+        // Weather state ('clear', 'overcast', 'rain', 'fog' or 'storm')
+        this.weather = {
+            state: 'clear',
+            nextLightning: null, // Seconds of clock time until the next strike
+            thunder: [], // Pending { delay, intensity } rolls
+            fogCharacteristic: null
+        };
+        this.soundscape = new Soundscape(this.CONFIG);
+        if (saved.volume !== undefined) this.soundscape.volume = saved.volume;
+        this.skyRenderer = null;
+        this.traffic = null; // Ships on the sea
+        this.flocks = null; // Birds in the sky
+        this.skyEvents = null; // Aurora, meteor showers, satellites and aircraft
+        this.skyArea = null; // Sky events layer size in pixels, remeasured every second
+        this.sea = {
+            swell: { height: this.CONFIG.SEA.SWELL_HEIGHT, period: this.CONFIG.SEA.SWELL_PERIOD },
+            tide: { level: 0, rising: false },
+            surface: null // Waterline and reflection in scene pixels, remeasured every second
+        };
+        this.lightGeometry = null; // Beam origin and cone in scene pixels, remeasured every second
+        this.gestures = null; // Touch and pen gestures
+        this.zoom = 1;
+        this.tiltBaseline = null; // First device orientation reading, taken as level
+        this.parallaxLayers = []; // { element, depth } moved by the depth parallax
+        this.parallax = {
+            // Inputs from -1 to 1 per axis; the layers ease toward their sum
+            pointer: { x: 0, y: 0 },
+            scroll: { x: 0, y: 0 },
+            tilt: { x: 0, y: 0 },
+            current: { x: 0, y: 0 }
+        };
+        this.recorder = null; // Set while export() runs
+        this.exportController = null; // Aborts the running export, from its signal or destroy()
+
+        // Shared animation loop for birds, beam, sky canvas and weather
+        this.clock = new AnimationClock(this.CONFIG.TIMING.TIME_SCALE);
+
+        // Animation state
+        this.animationState = {
+            starAnimations: new Map(),
+            beamRotation: 0,
+            beamOpacity: 0
+        };
+
+        // Observers and timers
+        this.resizeTimer = null;
+        this.intersectionObserver = null;
+        this.visibilityObserver = null;
+        this.skyTimer = null;
+        this.helpReturnFocus = null; // Element to refocus when the shortcut help closes
+        this.modeMenuReturnFocus = null;
+        this.panelReturnFocus = null;
+
+        // Bind methods to preserve context
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.handleDeviceOrientation = this.handleDeviceOrientation.bind(this);
+        this.requestTiltPermission = this.requestTiltPermission.bind(this);
+        this.handleModeMenuDismiss = this.handleModeMenuDismiss.bind(this);
+        this.handleSoundToggle = this.handleSoundToggle.bind(this);
+        this.handleThemeToggle = this.handleThemeToggle.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleLighthouseClick = this.handleLighthouseClick.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleMotionToggle = this.handleMotionToggle.bind(this);
+        this.handlePanelToggle = this.handlePanelToggle.bind(this);
+        this.handleMotionQueryChange = this.handleMotionQueryChange.bind(this);
+        this.handleLighthouseKeydown = this.handleLighthouseKeydown.bind(this);
+    }
+
+    /**
+     * Starting theme from options/data-theme, falling back to the root's class
+     */
+    resolveInitialTheme(theme) {
+        if (ThemeRegistry.has(theme)) return theme;
+        if (theme === 'auto') {
+            this.daylight.enabled = true;
+            return this.root.classList.contains('light-mode') ? 'light' : 'dark';
+        }
+        if (theme) console.warn(`Unknown theme '${theme}', using the default`);
+
+        return this.root.classList.contains('light-mode') ? 'light' : 'dark';
+    }
+
+    /**
+     * Starting light mode index from options/data-light-mode (default: moving)
+     */
+    resolveInitialLightMode(mode) {
+        const index = mode ? this.lightModes.indexOf(mode) : 0;
+        if (index === -1) {
+            console.warn(`Unknown light mode '${mode}', using '${this.lightModes[0]}'`);
+            return 0;
+        }
+        return index;
+    }
+
+    /**
+     * Starting schedule from preferences or CONFIG.KEEPER.SCHEDULE (default: none)
+     */
+    resolveInitialSchedule(schedule) {
+        try {
+            return KeeperSchedule.parse(schedule, this.lightModes);
+        } catch (error) {
+            console.warn('Invalid keeper schedule:', error.message);
+            return new KeeperSchedule();
+        }
+    }
+
+    /**
+     * Render the scene markup into the root unless it is already present
+     */
+    render() {
+        const { root } = this;
+        root.classList.add('lighthouse-scene');
+
+        if (!root.querySelector('.lighthouse-container')) {
+            this.rootState.content = Array.from(root.childNodes);
+            root.innerHTML = LighthouseScene.createMarkup();
+            this.rootState.rendered = true;
+        }
+    }
+
+    /**
+     * Cache all required DOM elements for performance
+     */
+    cacheElements() {
+        this.render();
+
+        const elements = {};
+        const selectors = {
+            starsContainer: '.stars-container',
+            shootingStarsContainer: '.shooting-stars-container',
+            cloudsContainer: '.clouds-container',
+            lightBeam: '.light-beam',
+            themeToggle: '.theme-toggle',
+            soundToggle: '.sound-toggle',
+            motionToggle: '.motion-toggle',
+            panelToggle: '.panel-toggle',
+            announcer: '.scene-announcer'
+        };
+
+        Object.entries(selectors).forEach(([name, selector]) => {
+            elements[name] = this.root.querySelector(selector);
+            if (!elements[name]) {
+                console.warn(`Element '${selector}' not found in scene root`);
+            }
+        });
+
+        // Additional element queries
+        elements.root = this.root;
+        elements.lighthouse = this.root.querySelector('.lighthouse');
+        elements.lighthouseContainer = this.root.querySelector('.lighthouse-container');
+        elements.lantern = this.root.querySelector('.lantern');
+        elements.shore = this.root.querySelector('.shore');
+        elements.shipsContainer = this.root.querySelector('.ships-container');
+        elements.birdsContainer = this.root.querySelector('.birds-container');
+        elements.skyEventsContainer = this.root.querySelector('.sky-events');
+        elements.sea = this.root.querySelector('.sea');
+        elements.seaSurface = this.root.querySelector('.sea-surface');
+        elements.seaReflection = this.root.querySelector('.sea-reflection');
+        elements.beamGlint = this.root.querySelector('.beam-glint');
+        elements.waves = Array.from(this.root.querySelectorAll('.wave'));
+
+        return elements;
+    }
+
+    /**
+     * Initialize the entire scene
+     */
+    init() {
+        if (this.lifecycle !== 'created') {
+            console.warn(this.lifecycle === 'running'
+                ? 'Lighthouse scene is already initialized'
+                : 'A destroyed lighthouse scene cannot be initialized again; create a new LighthouseScene');
+            return;
+        }
+        this.lifecycle = 'running';
+
+        try {
+            this.applyTheme();
+            if (this.daylight.enabled) this.startDaylightCycle();
+            this.setupEventListeners();
+            this.setupGestures();
+            this.setupRenderer();
+            this.setupParallax();
+            this.createSceneElements();
+            this.setupAnimations();
+            this.setupShips();
+            this.setupBirds();
+            this.setupSkyEvents();
+            this.setupSea();
+            this.setupAudio();
+            this.setupAccessibility();
+            this.setupSky();
+            this.setWeather(this.resolveInitialWeather(this.options.weather || this.root.dataset.weather || this.preferences.get('weather')));
+
+            const { CHARACTERISTIC } = this.CONFIG.LIGHTHOUSE.MODES.MOVING;
+            if (CHARACTERISTIC) this.setLightCharacteristic(CHARACTERISTIC);
+            this.updateLightMode(); // Initialize lighthouse mode
+            this.setupKeeper();
+            
+            console.log('🏮 Lighthouse scene initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize lighthouse scene:', error);
+        }
+    }
+
+    /**
+     * Add an event listener that destroy() removes again
+     */
+    listen(target, type, handler, options = {}) {
+        target?.addEventListener(type, handler, { ...options, signal: this.teardown.signal });
+    }
+
+    /**
+     * setTimeout that destroy() cancels; returns the timer id
+     */
+    setTimer(callback, delay) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            callback();
+        }, delay);
+        this.timers.add(id);
+        return id;
+    }
+
+    clearTimer(id) {
+        clearTimeout(id);
+        this.timers.delete(id);
+    }
+
+    /**
+     * Set up all event listeners
+     */
+    setupEventListeners() {
+        // Pointer tracking for dynamic lighting and manual beam aiming
+        this.listen(this.root, 'pointermove', this.handlePointerMove, { passive: true });
+        this.listen(this.root, 'pointerdown', this.handlePointerDown, { passive: true });
+        
+        // Sound control
+        this.listen(this.elements.soundToggle, 'click', this.handleSoundToggle);
+        
+        // Theme switching
+        this.listen(this.elements.themeToggle, 'click', this.handleThemeToggle);
+
+        // Still scene (reduced motion)
+        this.listen(this.elements.motionToggle, 'click', this.handleMotionToggle);
+        
+        // Window events
+        this.listen(window, 'resize', this.handleResize, { passive: true });
+        this.listen(document, 'scroll', this.handleScroll, { passive: true });
+        this.listen(document, 'visibilitychange', this.handleVisibilityChange);
+        
+        // Smooth scrolling for anchor links
+        this.setupSmoothScrolling();
+        
+        // Lighthouse interaction
+        this.listen(this.elements.lighthouse, 'click', this.handleLighthouseClick);
+        this.listen(this.elements.lighthouse, 'keydown', this.handleLighthouseKeydown);
+        this.listen(this.elements.lantern, 'click', this.handleLighthouseClick);
+
+        // Keyboard shortcuts
+        if (this.CONFIG.KEYBOARD.ENABLED) {
+            this.listen(document, 'keydown', this.handleKeydown);
+        }
+    }
+
+    /**
+     * Handle pointer movement for enhanced dynamic lighting; in manual mode
+     * hovering with a mouse, or dragging with touch or pen, aims the beam
+     */
+    handlePointerMove(e) {
+        this.clock.schedule('pointer', () => {
+            if (this.lightMode === 'manual' && (e.pointerType === 'mouse' || e.buttons)) {
+                this.aimBeamAt(e.clientX, e.clientY);
+            }
+
+            const rect = this.root.getBoundingClientRect();
+            const mouseX = e.clientX - rect.left;
+            const mouseY = e.clientY - rect.top;
+            const x = rect.width ? (mouseX / rect.width) * 100 : 0;
+            const y = rect.height ? (mouseY / rect.height) * 100 : 0;
+            
+            this.root.style.setProperty('--mouse-x', `${mouseX}px`);
+            this.root.style.setProperty('--mouse-y', `${mouseY}px`);
+            this.root.style.setProperty('--mouse-x-percent', `${x}%`);
+            this.root.style.setProperty('--mouse-y-percent', `${y}%`);
+
+            // Touch drags belong to gestures; phones get depth from tilt instead
+            if (e.pointerType === 'mouse' && this.CONFIG.PARALLAX.POINTER && rect.width && rect.height) {
+                this.setParallaxInput('pointer', mouseX / rect.width * 2 - 1, mouseY / rect.height * 2 - 1);
+            }
+        });
+    }
+
+    handlePointerLeave(e) {
+        if (e.pointerType === 'mouse') this.setParallaxInput('pointer', 0, 0);
+    }
+
+    /**
+     * A tap or click on the scene aims the beam there in manual mode
+     */
+    handlePointerDown(e) {
+        if (this.lightMode === 'manual') this.aimBeamAt(e.clientX, e.clientY);
+    }
+
+    /**
+     * Touch gestures: swipe to scrub the time of day, pinch to zoom, long-press
+     * the lantern for the mode menu, and tilt for parallax where supported
+     */
+    setupGestures() {
+        const { GESTURES } = this.CONFIG;
+        if (!GESTURES.ENABLED) return;
+
+        this.gestures = new GestureRecognizer(this.root, GESTURES, {
+            canSwipe: () => this.lightMode !== 'manual', // Drags aim the manual beam instead
+            swipe: dx => this.scrubTime((dx / (this.root.clientWidth || window.innerWidth)) * GESTURES.SWIPE_HOURS),
+            pinch: (ratio, center) => {
+                // Zoom about where the pinch started
+                const rect = this.root.getBoundingClientRect();
+                const origin = this.zoom === 1 && rect.width && rect.height
+                    ? { x: (center.x - rect.left) / rect.width, y: (center.y - rect.top) / rect.height }
+                    : undefined;
+                this.setZoom(this.zoom * ratio, origin);
+            },
+            longPress: target => {
+                if (!target.closest?.('.lantern, .lighthouse')) return false;
+                this.toggleModeMenu(true);
+                return true;
+            },
+            end: gesture => {
+                if (gesture === 'swipe') {
+                    const time = this.getSceneDate().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                    this.announce(`Time of day: ${time}`);
+                }
+            }
+        });
+
+        if (!GESTURES.TILT || !('DeviceOrientationEvent' in window)) return;
+
+        if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+            // iOS only reports orientation after the user allows it from a gesture
+            this.listen(this.root, 'pointerdown', this.requestTiltPermission, { once: true });
+        } else {
+            this.listen(window, 'deviceorientation', this.handleDeviceOrientation);
+        }
+    }
+
+    requestTiltPermission(e) {
+        if (e.pointerType === 'mouse') {
+            this.listen(this.root, 'pointerdown', this.requestTiltPermission, { once: true });
+            return;
+        }
+
+        DeviceOrientationEvent.requestPermission()
+            .then(state => {
+                if (state === 'granted') this.listen(window, 'deviceorientation', this.handleDeviceOrientation);
+            })
+            .catch(error => console.warn('Tilt parallax unavailable:', error.message));
+    }
+
+    /**
+     * Shift the parallax layers with the device tilt, relative to how it was first held
+     */
+    handleDeviceOrientation(e) {
+        if (e.beta === null || e.gamma === null || this.reducedMotion) return;
+
+        // Tilt relative to the screen: x leans right, y leans toward the user
+        const angle = ((screen.orientation?.angle ?? 0) % 360 + 360) % 360;
+        const [x, y] = {
+            0: [e.gamma, e.beta],
+            90: [e.beta, -e.gamma],
+            180: [-e.gamma, -e.beta],
+            270: [-e.beta, e.gamma]
+        }[angle] || [e.gamma, e.beta];
+
+        this.tiltBaseline ??= { x, y };
+
+        // Full tilt moves a layer at depth 1 by TILT_RANGE pixels
+        const { TILT_MAX_ANGLE, TILT_RANGE } = this.CONFIG.GESTURES;
+        const range = TILT_RANGE / (this.CONFIG.PARALLAX.MAX_SHIFT || 1);
+        const scale = value => Math.max(-1, Math.min(1, value / TILT_MAX_ANGLE)) * range;
+
+        this.setParallaxInput('tilt', scale(x - this.tiltBaseline.x), scale(y - this.tiltBaseline.y));
+    }
+
+    resetTilt() {
+        this.tiltBaseline = null;
+        this.parallax.tilt = { x: 0, y: 0 };
+    }
+
+    /**
+     * Depth parallax: each layer in PARALLAX_LAYERS shifts by its PARALLAX.DEPTHS
+     * factor as the mouse, the scroll position and the device tilt change
+     */
+    setupParallax() {
+        const { PARALLAX } = this.CONFIG;
+        if (!PARALLAX.ENABLED || PARALLAX.MAX_SHIFT === 0) return;
+
+        this.parallaxLayers = Object.entries(LighthouseScene.PARALLAX_LAYERS)
+            .filter(([layer]) => PARALLAX.DEPTHS[layer])
+            .flatMap(([layer, selector]) => Array.from(
+                this.root.querySelectorAll(selector),
+                element => ({ element, depth: PARALLAX.DEPTHS[layer] })
+            ));
+
+        // Layers reaching the scene edges are widened so a shift never uncovers them
+        this.root.style.setProperty('--parallax-overscan', `${PARALLAX.MAX_SHIFT}px`);
+        this.listen(this.root, 'pointerleave', this.handlePointerLeave);
+        this.handleScroll();
+    }
+
+    /**
+     * Set one parallax input (-1 to 1 per axis) and let the layers ease toward it
+     */
+    setParallaxInput(source, x, y) {
+        this.parallax[source] = { x, y };
+        if (this.parallaxLayers.length && !this.isStill) this.animateParallax();
+    }
+
+    animateParallax() {
+        this.clock.add('parallax', delta => this.updateParallax(delta));
+    }
+
+    /**
+     * Ease the layers toward the combined inputs; the loop stops once they settle
+     */
+    updateParallax(delta) {
+        const { pointer, scroll, tilt, current } = this.parallax;
+        const clamp = value => Math.max(-1, Math.min(1, value));
+        const target = {
+            x: clamp(pointer.x + scroll.x + tilt.x),
+            y: clamp(pointer.y + scroll.y + tilt.y)
+        };
+
+        // Real seconds, so slow motion does not make the layers sluggish
+        const seconds = delta / (this.clock.timeScale || 1);
+        const ease = 1 - Math.exp(-this.CONFIG.PARALLAX.RESPONSE * seconds);
+        current.x += (target.x - current.x) * ease;
+        current.y += (target.y - current.y) * ease;
+
+        if (Math.abs(target.x - current.x) < 0.001 && Math.abs(target.y - current.y) < 0.001) {
+            this.parallax.current = target;
+            this.clock.remove('parallax');
+        }
+        this.applyParallax();
+    }
+
+    applyParallax() {
+        const { x, y } = this.parallax.current;
+        const { MAX_SHIFT } = this.CONFIG.PARALLAX;
+
+        this.parallaxLayers.forEach(({ element, depth }) => {
+            element.style.translate = `${(-x * depth * MAX_SHIFT).toFixed(2)}px ${(-y * depth * MAX_SHIFT).toFixed(2)}px`;
+        });
+    }
+
+    /**
+     * Still scene: layers go back to rest and stop following the inputs
+     */
+    resetParallax() {
+        this.clock.remove('parallax');
+        this.parallax.current = { x: 0, y: 0 };
+        this.parallaxLayers.forEach(({ element }) => element.style.removeProperty('translate'));
+    }
+
+    /**
+     * Move the time of day by a number of hours (negative goes back). The sky
+     * then follows the sun for that time, as with setTheme('auto').
+     */
+    scrubTime(hours) {
+        if (!Number.isFinite(hours)) {
+            console.warn('Time scrub must be a number of hours, got', hours);
+            return false;
+        }
+
+        if (!this.daylight.enabled) this.startDaylightCycle();
+        return this.setSceneDate(this.getSceneDate().getTime() + hours * 3600000);
+    }
+
+    /**
+     * Zoom the parallax layers from 1 to GESTURES.MAX_ZOOM. origin is the point
+     * zoomed about, as fractions of the scene ({ x: 0.5, y: 0.5 } is the centre).
+     */
+    setZoom(level, origin) {
+        if (!Number.isFinite(level)) {
+            console.warn('Zoom must be a number, got', level);
+            return false;
+        }
+
+        const zoom = Math.max(1, Math.min(this.CONFIG.GESTURES.MAX_ZOOM, level));
+        if (origin) this.root.style.setProperty('--zoom-origin', `${origin.x * 100}% ${origin.y * 100}%`);
+        if (zoom === this.zoom) return true;
+
+        this.zoom = zoom;
+        this.lightGeometry = null; // The lantern moved on screen
+        this.root.style.setProperty('--zoom', zoom.toFixed(3));
+        this.emit('zoomchange', { zoom });
+        return true;
+    }
+
+    get isModeMenuOpen() {
+        const menu = this.root.querySelector('.mode-menu');
+        return Boolean(menu && !menu.hidden);
+    }
+
+    /**
+     * Show or hide the light mode menu by the lantern; returns false if nothing changed
+     */
+    toggleModeMenu(open = !this.isModeMenuOpen) {
+        if (open === this.isModeMenuOpen) return false;
+
+        const menu = this.root.querySelector('.mode-menu') || this.createModeMenu();
+        menu.hidden = !open;
+
+        if (open) {
+            this.modeMenuReturnFocus = this.focusedElement;
+            menu.querySelector('[aria-checked="true"]')?.focus();
+            this.listen(document, 'pointerdown', this.handleModeMenuDismiss, { capture: true });
+        } else {
+            document.removeEventListener('pointerdown', this.handleModeMenuDismiss, true);
+            if (this.modeMenuReturnFocus && this.root.contains(this.modeMenuReturnFocus)) {
+                this.modeMenuReturnFocus.focus();
+            }
+        }
+        return true;
+    }
+
+    createModeMenu() {
+        const menu = document.createElement('div');
+        menu.className = 'mode-menu';
+        menu.hidden = true;
+        menu.setAttribute('role', 'menu');
+        menu.setAttribute('aria-label', 'Lighthouse light mode');
+        menu.innerHTML = this.lightModes
+            .map(mode => `<button type="button" role="menuitemradio" data-mode="${mode}" aria-checked="${mode === this.lightMode}">${LighthouseScene.MODE_NAMES[mode]}</button>`)
+            .join('');
+
+        this.listen(menu, 'click', (e) => {
+            const item = e.target.closest('[data-mode]');
+            if (!item) return;
+            this.setLightMode(item.dataset.mode);
+            this.toggleModeMenu(false);
+        });
+
+        // Up and down move between the modes
+        this.listen(menu, 'keydown', (e) => {
+            if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+            const items = Array.from(menu.querySelectorAll('[data-mode]'));
+            const index = items.indexOf(this.focusedElement);
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length].focus();
+            e.preventDefault();
+        });
+
+        (this.elements.lighthouseContainer || this.root).appendChild(menu);
+        return menu;
+    }
+
+    /**
+     * Close the mode menu when the user touches anywhere else
+     */
+    handleModeMenuDismiss(e) {
+        const menu = this.root.querySelector('.mode-menu');
+        if (menu && !menu.contains(LighthouseScene.getEventTarget(e))) this.toggleModeMenu(false);
+    }
+
+    /**
+     * Handle sound toggle with proper state management
+     */
+    handleSoundToggle() {
+        this.setSound(!this.soundEnabled);
+    }
+
+    handleMotionToggle() {
+        this.setReducedMotion(!this.reducedMotion);
+    }
+
+    handlePanelToggle() {
+        this.togglePanel();
+    }
+
+    /**
+     * Step to the next theme in CONFIG.THEMES.CYCLE
+     */
+    handleThemeToggle() {
+        this.setTheme(this.getNextTheme());
+    }
+
+    /**
+     * Theme after the current one in CONFIG.THEMES.CYCLE; day and night when
+     * the cycle lists fewer than two registered themes
+     */
+    getNextTheme() {
+        const cycle = this.CONFIG.THEMES.CYCLE.split(/\s+/).filter(name => ThemeRegistry.has(name));
+        if (cycle.length < 2) return this.isNight ? 'light' : 'dark';
+
+        return cycle[(cycle.indexOf(this.theme) + 1) % cycle.length];
+    }
+
+    /**
+     * Handle lighthouse click interaction - cycles through the 4 light modes
+     */
+    handleLighthouseClick(event) {
+        // Lifting the finger after a long press opened the mode menu is not a click
+        if (event?.type === 'click' && this.gestures?.longPressFired) return;
+
+        // Cycle to next mode
+        const nextIndex = (this.currentLightModeIndex + 1) % this.lightModes.length;
+        this.setLightMode(this.lightModes[nextIndex]);
+        
+        // Add click animation
+        this.elements.lighthouse?.classList.add('lighthouse-clicked');
+        this.setTimer(() => {
+            this.elements.lighthouse?.classList.remove('lighthouse-clicked');
+        }, 200);
+    }
+
+    /**
+     * Enter and Space activate the lighthouse like a native button
+     */
+    handleLighthouseKeydown(event) {
+        if (event.key !== 'Enter' && event.key !== ' ') return;
+
+        event.preventDefault();
+        this.handleLighthouseClick();
+    }
+
+    /**
+     * Scene keyboard shortcuts (KEY_BINDINGS); ignored while typing or with modifier keys
+     */
+    handleKeydown(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+        const origin = LighthouseScene.getEventTarget(event);
+        if (LighthouseScene.isTypingTarget(origin)) return;
+
+        // Focus inside another scene belongs to that scene
+        const target = origin instanceof Element ? origin : null;
+        const owner = target?.closest('.lighthouse-scene');
+        if (owner ? owner !== this.root : !this.CONFIG.KEYBOARD.GLOBAL) return;
+
+        // Space and Enter on a focused control activate the control instead
+        if ((event.key === ' ' || event.key === 'Enter') && target?.closest('button, a[href], [role="button"]')) return;
+
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        const binding = LighthouseScene.KEY_BINDINGS.find(({ keys }) => keys.includes(key));
+        if (!binding || binding.action(this, key) === false) return;
+
+        event.preventDefault();
+    }
+
+    /**
+     * Whether a key event comes from a field the user is typing into
+     */
+    static isTypingTarget(target) {
+        if (!(target instanceof Element)) return false;
+        return target.isContentEditable || target.matches('input:not([type="button"], [type="checkbox"], [type="radio"], [type="range"]), textarea, select');
+    }
+
+    /**
+     * Element an event started on, also inside a shadow root, where
+     * document listeners only see the host element
+     */
+    static getEventTarget(event) {
+        return event.composedPath?.()[0] ?? event.target;
+    }
+
+    /**
+     * Focused element within the scene's document or shadow root
+     */
+    get focusedElement() {
+        return this.root.getRootNode().activeElement;
+    }
+
+    get isHelpOpen() {
+        const help = this.root.querySelector('.keyboard-help');
+        return Boolean(help && !help.hidden);
+    }
+
+    /**
+     * Show or hide the keyboard shortcut overlay; returns false if nothing changed
+     */
+    toggleHelp(open = !this.isHelpOpen) {
+        if (open === this.isHelpOpen) return false;
+
+        const help = this.root.querySelector('.keyboard-help') || this.createHelpOverlay();
+        help.hidden = !open;
+
+        if (open) {
+            this.helpReturnFocus = this.focusedElement;
+            help.querySelector('.keyboard-help-close')?.focus();
+        } else if (this.helpReturnFocus && this.root.contains(this.helpReturnFocus)) {
+            this.helpReturnFocus.focus();
+        }
+        return true;
+    }
+
+    createHelpOverlay() {
+        const help = document.createElement('div');
+        help.className = 'keyboard-help';
+        help.hidden = true;
+        help.setAttribute('role', 'dialog');
+        help.setAttribute('aria-label', 'Keyboard shortcuts');
+
+        const rows = LighthouseScene.KEY_BINDINGS
+            .map(({ display, label }) => `<dt><kbd>${display}</kbd></dt><dd>${label}</dd>`)
+            .join('');
+        help.innerHTML = `
+            <h2 class="keyboard-help-title">Keyboard shortcuts</h2>
+            <dl class="keyboard-help-list">${rows}</dl>
+            <button type="button" class="keyboard-help-close">Close</button>
+        `;
+        this.listen(help.querySelector('.keyboard-help-close'), 'click', () => this.toggleHelp(false));
+
+        this.root.appendChild(help);
+        return help;
+    }
+
+    get isPanelOpen() {
+        const panel = this.root.querySelector('.keeper-panel');
+        return Boolean(panel && !panel.hidden);
+    }
+
+    /**
+     * Show or hide the keeper's control panel; returns false if nothing changed
+     * or the panel is turned off (KEEPER.PANEL)
+     */
+    togglePanel(open = !this.isPanelOpen) {
+        if (open === this.isPanelOpen || (open && !this.CONFIG.KEEPER.PANEL)) return false;
+
+        const panel = this.root.querySelector('.keeper-panel') || this.createPanel();
+        panel.hidden = !open;
+        this.elements.panelToggle?.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            this.panelReturnFocus = this.focusedElement;
+            this.updatePanel();
+            panel.querySelector('.keeper-modes [aria-checked="true"]')?.focus();
+        } else if (this.panelReturnFocus && this.root.contains(this.panelReturnFocus)) {
+            this.panelReturnFocus.focus();
+        }
+        return true;
+    }
+
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'keeper-panel';
+        panel.hidden = true;
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', "Keeper's control panel");
+
+        const modes = this.lightModes
+            .map(mode => `<button type="button" role="radio" data-mode="${mode}" aria-checked="false">${LighthouseScene.MODE_NAMES[mode]}</button>`)
+            .join('');
+        const options = this.lightModes
+            .map(mode => `<option value="${mode}">${LighthouseScene.MODE_NAMES[mode]}</option>`)
+            .join('');
+        panel.innerHTML = `
+            <h2 class="keeper-panel-title">Keeper's panel</h2>
+            <div class="keeper-modes" role="radiogroup" aria-label="Light mode">${modes}</div>
+            <dl class="keeper-status">
+                <dt>Characteristic</dt><dd data-status="characteristic"></dd>
+                <dt>Rotation period</dt><dd data-status="period"></dd>
+            </dl>
+            <label class="keeper-intensity">Lamp intensity
+                <input type="range" min="0" max="100" step="5">
+                <output></output>
+            </label>
+            <fieldset class="keeper-schedule">
+                <legend>Daily schedule</legend>
+                <ul class="keeper-schedule-list"></ul>
+                <div class="keeper-schedule-add">
+                    <input type="time" aria-label="Time" required>
+                    <select aria-label="Light mode">${options}</select>
+                    <button type="button" data-action="add">Add</button>
+                </div>
+            </fieldset>
+            <button type="button" class="keeper-panel-close">Close</button>
+        `;
+
+        const time = panel.querySelector('.keeper-schedule-add input');
+        const mode = panel.querySelector('.keeper-schedule-add select');
+
+        this.listen(panel, 'click', (e) => {
+            const item = e.target.closest('[data-mode], [data-remove], [data-action="add"], .keeper-panel-close');
+            if (!item) return;
+
+            if (item.dataset.mode) {
+                this.setLightMode(item.dataset.mode);
+            } else if (item.dataset.remove) {
+                this.setSchedule(this.getSchedule().filter((entry, index) => index !== Number(item.dataset.remove)));
+            } else if (item.dataset.action === 'add') {
+                if (!time.value) {
+                    time.focus();
+                } else if (this.setSchedule([...this.getSchedule(), { time: time.value, mode: mode.value }])) {
+                    time.value = '';
+                }
+            } else {
+                this.togglePanel(false);
+            }
+        });
+
+        this.listen(panel.querySelector('.keeper-intensity input'), 'input', (e) => {
+            this.setLampIntensity(Number(e.target.value) / 100);
+        });
+
+        this.listen(panel, 'keydown', (e) => {
+            // The slider keeps its arrow keys in manual mode too
+            if (e.target.matches('input[type="range"]')) {
+                if (e.key.startsWith('Arrow')) e.stopPropagation();
+                return;
+            }
+
+            // Up and down move between the light modes, like radio buttons
+            if (!e.target.closest('.keeper-modes') || (e.key !== 'ArrowDown' && e.key !== 'ArrowUp')) return;
+
+            const items = Array.from(panel.querySelectorAll('.keeper-modes [data-mode]'));
+            const index = items.indexOf(e.target);
+            const next = items[(index + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length];
+            this.setLightMode(next.dataset.mode);
+            next.focus();
+            e.preventDefault();
+        });
+
+        this.root.appendChild(panel);
+        return panel;
+    }
+
+    /**
+     * Bring the keeper's panel in line with the light, lamp and schedule
+     */
+    updatePanel() {
+        const panel = this.root.querySelector('.keeper-panel');
+        if (!panel) return;
+
+        const status = this.getLightStatus();
+        panel.querySelectorAll('.keeper-modes [data-mode]').forEach(item => {
+            const checked = item.dataset.mode === status.mode;
+            item.setAttribute('aria-checked', String(checked));
+            item.tabIndex = checked ? 0 : -1;
+        });
+
+        panel.querySelector('[data-status="characteristic"]').textContent =
+            status.characteristic ?? (status.mode === 'moving' ? 'Default sweep' : '—');
+        panel.querySelector('[data-status="period"]').textContent =
+            status.period ? `${status.period.toFixed(1)} s` : '—';
+
+        const percent = Math.round(status.intensity * 100);
+        panel.querySelector('.keeper-intensity input').value = percent;
+        panel.querySelector('.keeper-intensity output').textContent = `${percent}%`;
+
+        panel.querySelector('.keeper-schedule-list').innerHTML = status.schedule.length
+            ? status.schedule.map(({ time, mode }, index) => {
+                const name = LighthouseScene.MODE_NAMES[mode];
+                return `<li><time>${time}</time> ${name} <button type="button" data-remove="${index}" aria-label="Remove ${time} ${name}">✕</button></li>`;
+            }).join('')
+            : '<li class="keeper-schedule-empty">No scheduled changes</li>';
+    }
+
+    /**
+     * Read a short status message to screen readers through the aria-live region
+     */
+    announce(message) {
+        const { announcer } = this.elements;
+        if (!announcer) return;
+
+        // Clear first so repeating the same message is read again
+        announcer.textContent = '';
+        this.clock.schedule('announce', () => {
+            announcer.textContent = message;
+        });
+    }
+
+    /**
+     * Current lighthouse mode name ('moving', 'emergency', 'off' or 'manual')
+     */
+    get lightMode() {
+        return this.lightModes[this.currentLightModeIndex];
+    }
+
+    /**
+     * Dispatch a scene event with the given detail payload
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    /**
+     * Switch to a registered theme ('dark', 'light', 'sunset', 'polar-night',
+     * 'stormy', 'high-contrast' or one added with registerTheme()), or follow
+     * the real sun at the configured location with 'auto'
+     */
+    setTheme(theme) {
+        if (theme === 'auto') {
+            this.startDaylightCycle();
+            this.savePreference('theme', theme);
+            return true;
+        }
+        if (!ThemeRegistry.has(theme)) {
+            console.warn(`Unknown theme '${theme}'`);
+            return false;
+        }
+
+        this.stopDaylightCycle();
+        this.changeTheme(theme);
+        this.savePreference('theme', theme);
+        return true;
+    }
+
+    /**
+     * Apply a new effective theme and notify listeners
+     */
+    changeTheme(theme) {
+        if (theme === this.theme) return;
+
+        this.theme = theme;
+        this.applyTheme();
+
+        // Update scene elements for new theme
+        this.updateSceneForTheme();
+        this.updateLightMode(); // Refresh lighthouse mode for new theme
+
+        this.announce(`${this.themeSettings.label} scene`);
+        this.emit('themechange', { theme, auto: this.daylight.enabled });
+    }
+
+    /**
+     * Start following the real day/night cycle at CONFIG.DAYLIGHT's location
+     */
+    startDaylightCycle() {
+        this.stopDaylightCycle();
+
+        this.daylight.enabled = true;
+        this.root.classList.add('auto-daylight');
+        this.updateSky();
+    }
+
+    /**
+     * Return to the manual day/night toggle
+     */
+    stopDaylightCycle() {
+        const { root } = this;
+
+        this.daylight.enabled = false;
+        this.daylight.sunUp = null;
+        root.classList.remove('auto-daylight');
+        this.applyPalette(); // Hand the sky and sea back to the theme
+
+        // The catalogue sky keeps real sun/moon positions; otherwise fall back to the CSS layout
+        if (!this.CONFIG.SKY.CATALOGUE) {
+            root.querySelectorAll('.sun, .moon').forEach(body => {
+                body.style.left = '';
+                body.style.top = '';
+            });
+        }
+    }
+
+    /**
+     * Start the periodic sky update (moon phase, celestial positions, auto theme)
+     */
+    setupSky() {
+        clearInterval(this.skyTimer);
+        this.updateSky();
+        this.skyTimer = setInterval(() => this.updateSky(), this.CONFIG.DAYLIGHT.UPDATE_INTERVAL);
+    }
+
+    /**
+     * Time the sky is drawn for: the fixed scene date if set, else now
+     */
+    getSceneDate() {
+        return this.sceneDate ? new Date(this.sceneDate) : new Date();
+    }
+
+    /**
+     * Draw the sky for a specific date (Date, timestamp or ISO string), or null for the live clock
+     */
+    setSceneDate(date) {
+        const sceneDate = date === null || date === undefined ? null : new Date(date);
+        if (sceneDate && Number.isNaN(sceneDate.valueOf())) {
+            console.warn(`Invalid scene date '${date}'`);
+            return false;
+        }
+
+        this.sceneDate = sceneDate;
+        this.updateSky();
+        return true;
+    }
+
+    /**
+     * Refresh everything that depends on the scene date and observer location
+     */
+    updateSky() {
+        const date = this.getSceneDate();
+        const { LATITUDE, LONGITUDE } = this.CONFIG.DAYLIGHT;
+        const sun = SolarCalculator.getPosition(date, LATITUDE, LONGITUDE);
+
+        this.updateMoonPhase(date);
+        if (this.daylight.enabled) this.updateDaylight(sun);
+
+        if (this.daylight.enabled || this.CONFIG.SKY.CATALOGUE) {
+            this.positionCelestialBodies(sun, LunarCalculator.getPosition(date, LATITUDE, LONGITUDE));
+        }
+        if (this.CONFIG.SKY.CATALOGUE) this.positionCatalogueStars(date);
+        this.updateAnnualShower(date);
+        this.updateTide(date);
+        this.sea.surface = null; // The sun and moon may have moved
+    }
+
+    /**
+     * Sun and moon positions plus today's sun times for the configured location
+     */
+    getDaylightInfo(date = this.getSceneDate()) {
+        const { LATITUDE, LONGITUDE } = this.CONFIG.DAYLIGHT;
+        return {
+            date,
+            position: SolarCalculator.getPosition(date, LATITUDE, LONGITUDE),
+            times: SolarCalculator.getTimes(date, LATITUDE, LONGITUDE),
+            moon: {
+                ...LunarCalculator.getPosition(date, LATITUDE, LONGITUDE),
+                ...LunarCalculator.getIllumination(date)
+            }
+        };
+    }
+
+    /**
+     * Blend the sky and switch theme/light for the sun's current altitude
+     */
+    updateDaylight(position) {
+        const sunUp = position.altitude > SolarCalculator.ALTITUDES.HORIZON;
+
+        this.blendSkyPalette(position.altitude);
+        this.changeTheme(sunUp ? 'light' : 'dark');
+
+        // Like a real station: light on at dusk, off at dawn (emergency is left alone)
+        if (sunUp !== this.daylight.sunUp) {
+            this.withoutSaving(() => {
+                if (sunUp && this.lightMode === 'moving') this.setLightMode('off');
+                if (!sunUp && this.lightMode === 'off') this.setLightMode('moving');
+            });
+            this.daylight.sunUp = sunUp;
+        }
+    }
+
+    /**
+     * Map altitude/azimuth to sky percentages; null when outside the field of
+     * view unless clip is false
+     */
+    projectSky(altitude, azimuth, clip = true) {
+        const { VIEW_AZIMUTH, FIELD_OF_VIEW, ALTITUDE_SPAN } = this.CONFIG.SKY;
+        const offset = ((azimuth - VIEW_AZIMUTH + 540) % 360) - 180;
+        if (clip && Math.abs(offset) > FIELD_OF_VIEW / 2) return null;
+
+        return {
+            x: 50 + (offset / FIELD_OF_VIEW) * 100,
+            y: 100 - (altitude / ALTITUDE_SPAN) * 100
+        };
+    }
+
+    /**
+     * Move the sun and moon along their real arcs; bodies below the horizon sink out of view
+     */
+    positionCelestialBodies(sun, moon) {
+        const place = (body, { altitude, azimuth }) => {
+            if (!body) return;
+            const point = this.projectSky(Math.max(altitude, -10), azimuth);
+            body.style.left = point ? `${point.x}%` : '-20%';
+            body.style.top = point ? `${Math.max(point.y, 2)}%` : '110%';
+        };
+
+        place(this.root.querySelector('.sun'), sun);
+        place(this.root.querySelector('.moon'), moon);
+    }
+
+    /**
+     * Draw the moon disc in its phase for the given date
+     */
+    updateMoonPhase(date) {
+        const moon = this.root.querySelector('.moon');
+        if (!moon) return;
+
+        const { fraction, phase } = LunarCalculator.getIllumination(date);
+        let svg = moon.querySelector('.moon-phase');
+
+        if (!svg) {
+            moon.classList.add('has-phase');
+            moon.innerHTML = `
+                <svg class="moon-phase" viewBox="-1 -1 2 2" aria-hidden="true">
+                    <circle class="moon-dark" r="1"></circle>
+                    <path class="moon-lit"></path>
+                </svg>
+            `;
+            svg = moon.querySelector('.moon-phase');
+        }
+
+        // Southern observers see the lit side mirrored
+        svg.style.transform = this.CONFIG.DAYLIGHT.LATITUDE < 0 ? 'scaleX(-1)' : '';
+        svg.querySelector('.moon-lit').setAttribute('d', LunarCalculator.getPhasePath(phase));
+        moon.style.setProperty('--moon-illumination', fraction.toFixed(2));
+        moon.setAttribute('aria-label', `Moon - ${LunarCalculator.getPhaseName(phase)}, ${Math.round(fraction * 100)}% illuminated`);
+    }
+
+    /**
+     * Blend the night, twilight and day palettes from the sun's altitude
+     */
+    blendSkyPalette(altitude) {
+        const { CIVIL, NAUTICAL } = SolarCalculator.ALTITUDES;
+        const styles = getComputedStyle(this.root);
+        const variable = name => LighthouseScene.parseColor(styles.getPropertyValue(name));
+
+        // Night below nautical twilight, twilight around civil dusk, full day 6° above the horizon
+        const blend = (night, twilight, day) => {
+            if (!night || !twilight || !day) return null;
+            if (altitude <= NAUTICAL) return night;
+            if (altitude <= CIVIL + 2) return LighthouseScene.mixColors(night, twilight, (altitude - NAUTICAL) / (CIVIL + 2 - NAUTICAL));
+            return LighthouseScene.mixColors(twilight, day, Math.min((altitude - CIVIL - 2) / 10, 1));
+        };
+
+        [['sky', 'top'], ['sky', 'bottom'], ['sea', 'top'], ['sea', 'bottom']].forEach(([layer, edge]) => {
+            const color = blend(
+                variable(`--${layer}-dark-${edge}`),
+                variable(`--${layer}-twilight-${edge}`),
+                variable(`--${layer}-light-${edge}`)
+            );
+            if (color) this.root.style.setProperty(`--${layer}-${edge}`, `rgb(${color.join(', ')})`);
+        });
+    }
+
+    /**
+     * Parse '#rgb' or '#rrggbb' into [r, g, b]; null for anything else
+     */
+    static parseColor(value) {
+        const hex = String(value).trim().replace(/^#/, '');
+        if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) return null;
+
+        const full = hex.length === 3 ? hex.replace(/./g, c => c + c) : hex;
+        return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+    }
+
+    static mixColors(from, to, amount) {
+        return from.map((channel, i) => Math.round(channel + (to[i] - channel) * amount));
+    }
+
+    /**
+     * Reflect the current theme on the root (day/night and theme classes,
+     * hidden elements, palette) and on the toggle button
+     */
+    applyTheme() {
+        const { root, themeToggle } = this.elements;
+        const { icon, show } = this.themeSettings;
+        const isDarkMode = this.isNight;
+
+        // Day/night classes carry the shared styles; theme-<name> adds a theme's own
+        root.classList.toggle('dark-mode', isDarkMode);
+        root.classList.toggle('light-mode', !isDarkMode);
+        ThemeRegistry.list().forEach(({ name }) => root.classList.toggle(`theme-${name}`, name === this.theme));
+        ThemeRegistry.ELEMENTS.forEach(element => root.classList.toggle(`hide-${element}`, !show[element]));
+
+        root.style.setProperty('--theme-transition', `${this.CONFIG.THEMES.TRANSITION}ms`);
+        this.applyPalette();
+
+        // Update button appearance and accessibility
+        if (themeToggle) {
+            themeToggle.textContent = icon;
+            themeToggle.setAttribute('aria-label', `Switch to ${ThemeRegistry.get(this.getNextTheme()).label} theme`);
+        }
+
+        this.updateSoundscape();
+    }
+
+    /**
+     * Set the theme's palette on the root; registered color properties
+     * crossfade in CSS. The automatic day/night cycle blends the sky and sea itself.
+     */
+    applyPalette() {
+        const { palette } = this.themeSettings;
+
+        Object.entries(ThemeRegistry.PALETTE).forEach(([key, property]) => {
+            if (this.daylight.enabled && ThemeRegistry.BLENDED.includes(key)) return;
+            if (palette[key]) {
+                this.root.style.setProperty(property, palette[key]);
+            } else {
+                this.root.style.removeProperty(property);
+            }
+        });
+    }
+
+    /**
+     * Definition of the current theme: { name, label, icon, palette, show, lighting }
+     */
+    get themeSettings() {
+        return ThemeRegistry.get(this.theme) ?? ThemeRegistry.get('dark');
+    }
+
+    /**
+     * Whether the current theme is lit as night
+     */
+    get isNight() {
+        return this.themeSettings.lighting.night;
+    }
+
+    /**
+     * Registered themes as { name, label, icon }
+     */
+    getThemes() {
+        return ThemeRegistry.list();
+    }
+
+    /**
+     * Register a theme for every scene on the page; see ThemeRegistry for the definition
+     */
+    static registerTheme(name, definition) {
+        return ThemeRegistry.register(name, definition);
+    }
+
+    /**
+     * Select a lighthouse mode by name
+     */
+    setLightMode(mode) {
+        const index = this.lightModes.indexOf(mode);
+        if (index === -1) {
+            console.warn(`Unknown light mode '${mode}'`);
+            return false;
+        }
+        if (index === this.currentLightModeIndex) return true;
+
+        const previousMode = this.lightMode;
+        this.currentLightModeIndex = index;
+        this.savePreference('lightMode', mode);
+        this.updateLightMode();
+        this.announce(`Lighthouse: ${LighthouseScene.MODE_NAMES[mode]}`);
+
+        this.emit('lightmodechange', { mode, previousMode });
+        return true;
+    }
+
+    /**
+     * Enable or disable the soundscape; resolves once playback state is known
+     */
+    setSound(enabled) {
+        const { soundToggle } = this.elements;
+        if (!Soundscape.isSupported) return Promise.resolve(false);
+        if (Boolean(enabled) === this.soundEnabled) return Promise.resolve(true);
+
+        const applyState = (isEnabled) => {
+            this.soundEnabled = isEnabled;
+            if (soundToggle) {
+                soundToggle.textContent = isEnabled ? "🔊" : "🔇";
+                soundToggle.setAttribute('aria-label', isEnabled ? 'Mute Sound' : 'Enable Sound');
+            }
+            this.announce(isEnabled ? 'Sound on' : 'Sound off');
+            this.emit('soundchange', { enabled: isEnabled });
+            return true;
+        };
+
+        try {
+            if (enabled) {
+                return this.soundscape.start().then(() => applyState(true)).catch(error => {
+                    console.warn('Audio playback failed:', error);
+                    return false;
+                });
+            }
+
+            this.soundscape.stop();
+            return Promise.resolve(applyState(false));
+        } catch (error) {
+            console.error('Sound toggle failed:', error);
+            return Promise.resolve(false);
+        }
+    }
+
+    /**
+     * Freeze all scene motion (clock subscribers and CSS animations)
+     */
+    pause() {
+        if (this.isPaused || this.lifecycle === 'destroyed') return;
+
+        this.isPaused = true;
+        this.clock.pause();
+        this.root.classList.add('scene-paused');
+        this.announce('Motion paused');
+    }
+
+    /**
+     * Restart scene motion after pause()
+     */
+    resume() {
+        if (!this.isPaused || this.lifecycle === 'destroyed') return;
+
+        this.isPaused = false;
+        this.root.classList.remove('scene-paused');
+        this.clock.resume();
+        this.announce('Motion resumed');
+    }
+
+    get volume() {
+        return this.soundscape.volume;
+    }
+
+    /**
+     * Master volume from 0 to 1
+     */
+    setVolume(volume) {
+        if (typeof volume !== 'number' || !(volume >= 0 && volume <= 1)) {
+            console.warn('Volume must be a number between 0 and 1, got', volume);
+            return false;
+        }
+        if (volume === this.soundscape.volume) return true;
+
+        this.soundscape.setVolume(volume);
+        this.savePreference('volume', volume);
+        this.emit('volumechange', { volume });
+        return true;
+    }
+
+    /**
+     * Current channel levels ({ surf, gulls, foghorn, weather })
+     */
+    getMix() {
+        return { ...this.soundscape.mix };
+    }
+
+    /**
+     * Change channel levels (0-1); omitted channels keep their level
+     */
+    setMix(levels) {
+        const invalid = Object.entries(levels || {})
+            .filter(([name, level]) => !Soundscape.CHANNELS.includes(name) || typeof level !== 'number' || !(level >= 0 && level <= 1));
+        if (!SceneConfig.isPlainObject(levels) || invalid.length) {
+            console.warn(`Mix levels must be numbers between 0 and 1 for ${Soundscape.CHANNELS.join(', ')}, got`, levels);
+            return false;
+        }
+
+        this.soundscape.setMix(levels);
+        this.emit('volumechange', { volume: this.soundscape.volume, mix: this.getMix() });
+        return true;
+    }
+
+    /**
+     * Saved user choices ({ theme, lightMode, volume, reducedMotion, weather });
+     * choices never made are omitted
+     */
+    getPreferences() {
+        return this.preferences.getAll();
+    }
+
+    /**
+     * Forget saved choices; the scene keeps its current state and the next
+     * visit starts from the page's options and data-* attributes
+     */
+    clearPreferences() {
+        this.preferences.clear();
+        this.emit('preferencesclear', {});
+    }
+
+    /**
+     * Remember a user choice, unless withoutSaving() is applying the change
+     */
+    savePreference(name, value) {
+        if (this.savingPreferences) this.preferences.set(name, value);
+    }
+
+    /**
+     * Run changes that are not the user's own choices (a shared snapshot, the
+     * keeper's schedule, automatic light switching) without saving them
+     */
+    withoutSaving(callback) {
+        const saving = this.savingPreferences;
+        this.savingPreferences = false;
+        try {
+            return callback();
+        } finally {
+            this.savingPreferences = saving;
+        }
+    }
+
+    /**
+     * Tell the soundscape what the scene shows: sea state, rain, day gulls, foghorn in fog or emergency
+     */
+    updateSoundscape() {
+        const weather = this.weather.state;
+
+        this.soundscape.setState({
+            surf: LighthouseScene.SURF_INTENSITY[weather],
+            rain: { rain: 0.6, storm: 1 }[weather] || 0,
+            gulls: !this.isNight && (weather === 'clear' || weather === 'overcast'),
+            foghorn: weather === 'fog' || this.lightMode === 'emergency'
+        });
+    }
+
+    get timeScale() {
+        return this.clock.timeScale;
+    }
+
+    /**
+     * Speed up or slow down every animation (1 is normal, 0.5 slow motion, 2 double speed)
+     */
+    setTimeScale(timeScale) {
+        const [min, max] = SceneConfig.RANGES['TIMING.TIME_SCALE'];
+        if (typeof timeScale !== 'number' || !(timeScale >= min && timeScale <= max)) {
+            console.warn(`Time scale must be a number between ${min} and ${max}, got`, timeScale);
+            return false;
+        }
+        if (timeScale === this.clock.timeScale) return true;
+
+        this.clock.setTimeScale(timeScale);
+        this.syncCssAnimations();
+        this.emit('timescalechange', { timeScale });
+        return true;
+    }
+
+    /**
+     * Apply the time scale to CSS-driven animations (waves, DOM stars, rain)
+     */
+    syncCssAnimations() {
+        if (typeof this.root.getAnimations !== 'function') return;
+
+        this.root.getAnimations({ subtree: true }).forEach(animation => {
+            animation.playbackRate = this.clock.timeScale;
+        });
+    }
+
+    /**
+     * Suspend the clock and CSS animations while the tab is hidden or the scene is off-screen
+     */
+    handleVisibilityChange() {
+        this.clock.setSuspended('hidden', document.hidden);
+        this.root.classList.toggle('scene-suspended', this.clock.isSuspended);
+    }
+
+    observeVisibility() {
+        this.handleVisibilityChange();
+        if (typeof IntersectionObserver === 'undefined') return;
+
+        this.visibilityObserver = new IntersectionObserver(([entry]) => {
+            this.clock.setSuspended('offscreen', !entry.isIntersecting);
+            this.root.classList.toggle('scene-suspended', this.clock.isSuspended);
+        });
+        this.visibilityObserver.observe(this.root);
+    }
+
+    /**
+     * Update lighthouse appearance based on current mode
+     */
+    updateLightMode() {
+        const { lightBeam, lantern, lighthouse, lighthouseContainer } = this.elements;
+        if (!lightBeam || !lantern) return;
+
+        // Clear all mode classes
+        lightBeam.classList.remove('beam-moving', 'beam-emergency', 'beam-off', 'beam-manual');
+        lantern.classList.remove('emergency-mode', 'beam-off-mode');
+        lighthouse?.classList.remove('lighthouse-emergency');
+        lantern.style.opacity = '';
+        delete lightBeam.dataset.lightColor;
+
+        // Apply classes based on current mode
+        const currentMode = this.lightModes[this.currentLightModeIndex];
+        const modeName = LighthouseScene.MODE_NAMES[currentMode];
+
+        // Expose the current mode on the control and the tooltip
+        lighthouse?.setAttribute('aria-label', `Lighthouse light: ${modeName}. Activate to change mode`);
+        if (lighthouseContainer) lighthouseContainer.dataset.mode = modeName;
+        this.root.classList.toggle('manual-aim', currentMode === 'manual');
+        this.root.querySelectorAll('.mode-menu [data-mode]').forEach(item => {
+            item.setAttribute('aria-checked', String(item.dataset.mode === currentMode));
+        });
+
+        switch(currentMode) {
+            case 'moving':
+                lightBeam.classList.add('beam-moving');
+                if (this.getActiveCharacteristic()) {
+                    lightBeam.dataset.lightColor = this.getActiveCharacteristic().colorName;
+                }
+                this.startCustomBeamAnimation();
+                break;
+            case 'emergency':
+                lightBeam.classList.add('beam-emergency');
+                lantern.classList.add('emergency-mode');
+                lighthouse?.classList.add('lighthouse-emergency');
+                this.startEmergencyBeamAnimation();
+                break;
+            case 'off':
+                lightBeam.classList.add('beam-off');
+                lantern.classList.add('beam-off-mode');
+                this.animationState.beamOpacity = 0;
+                this.stopCustomBeamAnimation();
+                break;
+            case 'manual':
+                lightBeam.classList.add('beam-manual');
+                this.startManualBeam();
+                break;
+        }
+
+        this.updateSoundscape();
+        this.updatePanel();
+    }
+
+    /**
+     * Drive the moving beam from a chart characteristic (e.g. 'Fl(3) W 15s'),
+     * or restore the default sweep when called with null
+     */
+    setLightCharacteristic(notation) {
+        let characteristic = null;
+
+        if (notation) {
+            try {
+                characteristic = LightCharacteristic.parse(notation);
+            } catch (error) {
+                console.warn('Invalid light characteristic:', error.message);
+                return false;
+            }
+        }
+
+        this.lightCharacteristic = characteristic;
+        this.updateLightMode();
+        return true;
+    }
+
+    /**
+     * Characteristic currently driving the moving beam: the fog signal while
+     * fog is in, otherwise the one set with setLightCharacteristic()
+     */
+    getActiveCharacteristic() {
+        if (this.weather.state === 'fog' && this.weather.fogCharacteristic) {
+            return this.weather.fogCharacteristic;
+        }
+        return this.lightCharacteristic;
+    }
+
+    /**
+     * What the keeper's panel shows: { mode, characteristic, period, intensity, schedule },
+     * with the characteristic in chart notation and the rotation period in
+     * seconds (both null when the beam has none)
+     */
+    getLightStatus() {
+        const mode = this.lightMode;
+        const characteristic = mode === 'moving' ? this.getActiveCharacteristic() : null;
+        let period = null;
+        if (mode === 'moving') {
+            period = characteristic ? characteristic.period : LighthouseScene.SWEEP_PERIOD;
+            if (characteristic?.type === 'F') period = null; // Fixed lights hold still
+        }
+
+        return {
+            mode,
+            characteristic: characteristic?.notation ?? null,
+            period,
+            intensity: this.lampIntensity,
+            schedule: this.getSchedule()
+        };
+    }
+
+    /**
+     * Dim or brighten the lamp (0-1); scales the beam in every mode and the lantern glow
+     */
+    setLampIntensity(intensity) {
+        if (typeof intensity !== 'number' || !(intensity >= 0 && intensity <= 1)) {
+            console.warn('Lamp intensity must be a number between 0 and 1, got', intensity);
+            return false;
+        }
+        if (intensity === this.lampIntensity) return true;
+
+        this.lampIntensity = intensity;
+        this.savePreference('lampIntensity', intensity);
+        this.root.style.setProperty('--lamp-intensity', intensity);
+        this.updateLightMode(); // Redraws the beam at once, also while paused
+
+        this.emit('lampintensitychange', { intensity });
+        return true;
+    }
+
+    /**
+     * Replace the keeper's daily schedule with "HH:MM mode" entries separated
+     * by commas or new lines, or an array of { time, mode }; an empty one
+     * clears it. The entry in force now is applied at once.
+     */
+    setSchedule(schedule) {
+        let parsed;
+        try {
+            parsed = KeeperSchedule.parse(schedule, this.lightModes);
+        } catch (error) {
+            console.warn('Invalid keeper schedule:', error.message);
+            return false;
+        }
+        if (String(parsed) === String(this.keeper.schedule)) return true;
+
+        this.keeper.schedule = parsed;
+        this.savePreference('schedule', parsed.toJSON());
+        this.updatePanel();
+        this.emit('schedulechange', { schedule: parsed.toJSON() });
+
+        this.startSchedule();
+        return true;
+    }
+
+    /**
+     * The daily schedule as [{ time: 'HH:MM', mode }] in order of time
+     */
+    getSchedule() {
+        return this.keeper.schedule.toJSON();
+    }
+
+    /**
+     * Check the schedule against the real clock every KEEPER.CHECK_INTERVAL ms
+     */
+    startSchedule() {
+        clearInterval(this.keeper.timer);
+        this.keeper.timer = null;
+        if (!this.keeper.schedule.entries.length) return;
+
+        this.keeper.timer = setInterval(() => this.runSchedule(), this.CONFIG.KEEPER.CHECK_INTERVAL);
+        this.runSchedule();
+    }
+
+    /**
+     * Switch to the scheduled mode when a new entry comes into force. Between
+     * entries, and when an edit leaves the entry in force as it was, the
+     * keeper can still change the light by hand.
+     */
+    runSchedule(date = new Date()) {
+        const entry = this.keeper.schedule.entryAt(date);
+        const key = entry && `${entry.time} ${entry.mode}`;
+        if (!entry || key === this.keeper.applied) return;
+
+        this.keeper.applied = key;
+        this.withoutSaving(() => this.setLightMode(entry.mode)); // The schedule's choice, not the user's
+        this.emit('scheduletrigger', { time: entry.time, mode: entry.mode });
+    }
+
+    /**
+     * Start custom beam animation for moving mode
+     */
+    startCustomBeamAnimation() {
+        this.stopCustomBeamAnimation();
+        if (this.reducedMotion) {
+            this.startStillBeam();
+            return;
+        }
+        this.clock.add('beam', (delta, time) => this.animateCustomBeam(time));
+        this.animateCustomBeam(this.clock.time);
+    }
+
+    /**
+     * Start emergency beam animation
+     */
+    startEmergencyBeamAnimation() {
+        this.stopCustomBeamAnimation();
+        if (this.reducedMotion) {
+            this.startStillBeam();
+            return;
+        }
+        this.clock.add('beam', (delta, time) => this.animateEmergencyBeam(time));
+        this.animateEmergencyBeam(this.clock.time);
+    }
+
+    /**
+     * Still scene beam: fixed angle, slow crossfade in moving mode, steady (never flashing) in emergency
+     */
+    startStillBeam() {
+        this.clock.add('beam', (delta, time) => this.animateStillBeam(time));
+        this.animateStillBeam(this.clock.time);
+    }
+
+    animateStillBeam(time) {
+        const { lightBeam } = this.elements;
+        if (!lightBeam || lightBeam.classList.contains('beam-off')) {
+            this.stopCustomBeamAnimation();
+            return;
+        }
+
+        const { BEAM_OPACITY } = this.CONFIG.LIGHTHOUSE.MODES.MOVING;
+        const isEmergency = lightBeam.classList.contains('beam-emergency');
+
+        this.setBeamState(0, isEmergency ? 0.9 : BEAM_OPACITY * (0.75 + 0.15 * Math.sin(time * Math.PI / 10)));
+    }
+
+    /**
+     * Stop custom beam animation
+     */
+    stopCustomBeamAnimation() {
+        this.clock.remove('beam');
+    }
+
+    /**
+     * Custom beam animation for smooth rotation at clock time (seconds)
+     */
+    animateCustomBeam(time) {
+        const { lightBeam } = this.elements;
+        if (!lightBeam || !lightBeam.classList.contains('beam-moving')) {
+            this.stopCustomBeamAnimation();
+            return;
+        }
+
+        const { BEAM_SWEEP } = this.CONFIG.LIGHTHOUSE.MODES.MOVING;
+        let rotation = Math.sin(time * 2 * Math.PI / LighthouseScene.SWEEP_PERIOD) * BEAM_SWEEP; // Smooth oscillation
+        let opacity = 0.7 + Math.sin(time * 0.3) * 0.3; // Gentle pulsing
+
+        if (this.getActiveCharacteristic()) {
+            ({ rotation, opacity } = this.getCharacteristicBeamState(time));
+        }
+
+        this.setBeamState(rotation, opacity);
+    }
+
+    /**
+     * Beam rotation and opacity sampled from the characteristic timeline.
+     * The beam completes one sweep per period; fixed lights hold still.
+     */
+    getCharacteristicBeamState(time) {
+        const { BEAM_OPACITY, BEAM_SWEEP, CHARACTERISTIC_FADE } = this.CONFIG.LIGHTHOUSE.MODES.MOVING;
+        const characteristic = this.getActiveCharacteristic();
+        const intensity = characteristic.intensityAt(time, CHARACTERISTIC_FADE);
+
+        if (this.elements.lantern) {
+            this.elements.lantern.style.opacity = 0.3 + intensity * 0.7;
+        }
+
+        return {
+            rotation: characteristic.type === 'F'
+                ? 0
+                : Math.sin((time / characteristic.period) * Math.PI * 2) * BEAM_SWEEP,
+            opacity: intensity * BEAM_OPACITY
+        };
+    }
+
+    /**
+     * Emergency beam animation with erratic movement at clock time (seconds)
+     */
+    animateEmergencyBeam(time) {
+        const { lightBeam } = this.elements;
+        if (!lightBeam || !lightBeam.classList.contains('beam-emergency')) {
+            this.stopCustomBeamAnimation();
+            return;
+        }
+
+        const { FLASH_SPEED } = this.CONFIG.LIGHTHOUSE.MODES.EMERGENCY;
+        const fastRotation = Math.sin(time * 2) * 60 + Math.cos(time * 3) * 20;
+        const flashOpacity = Math.abs(Math.sin(time * Math.PI / FLASH_SPEED)) * 0.5 + 0.5;
+
+        this.setBeamState(fastRotation, flashOpacity);
+    }
+
+    /**
+     * Show the beam at an angle in degrees (0 points straight down, positive
+     * swings left) and opacity, dimmed by the theme's lighting and the lamp
+     * intensity, and remember both for lighting the ships
+     */
+    setBeamState(rotation, beamOpacity) {
+        const { lightBeam } = this.elements;
+        const opacity = beamOpacity * this.themeSettings.lighting.beam * this.lampIntensity;
+
+        this.animationState.beamRotation = rotation;
+        this.animationState.beamOpacity = opacity;
+        lightBeam.style.transform = `rotate(${rotation}deg)`;
+        lightBeam.style.opacity = opacity;
+    }
+
+    /**
+     * Start the manual beam, which follows beamAim set with aimBeam()
+     */
+    startManualBeam() {
+        this.stopCustomBeamAnimation();
+        this.clock.add('beam', delta => this.animateManualBeam(delta));
+        this.animateManualBeam(0);
+    }
+
+    /**
+     * Ease the beam toward the aim; it snaps straight there in the still scene or while paused
+     */
+    animateManualBeam(delta) {
+        const { lightBeam } = this.elements;
+        if (!lightBeam || !lightBeam.classList.contains('beam-manual')) {
+            this.stopCustomBeamAnimation();
+            return;
+        }
+
+        const { BEAM_OPACITY, AIM_RESPONSE } = this.CONFIG.LIGHTHOUSE.MODES.MANUAL;
+        const { beamRotation } = this.animationState;
+        const follow = this.isStill || this.clock.isPaused ? 1 : 1 - Math.exp(-AIM_RESPONSE * delta);
+
+        this.setBeamState(beamRotation + (this.beamAim - beamRotation) * follow, BEAM_OPACITY);
+    }
+
+    /**
+     * Aim the beam at an angle in degrees (0 straight down, positive to the
+     * left, clamped to ±MAX_ANGLE), switching to manual mode
+     */
+    aimBeam(angle) {
+        if (!Number.isFinite(angle)) {
+            console.warn('Beam angle must be a number of degrees, got', angle);
+            return false;
+        }
+
+        const { MAX_ANGLE } = this.CONFIG.LIGHTHOUSE.MODES.MANUAL;
+        this.beamAim = Math.max(-MAX_ANGLE, Math.min(MAX_ANGLE, angle));
+
+        if (this.lightMode !== 'manual') {
+            this.setLightMode('manual');
+        } else {
+            this.animateManualBeam(0);
+        }
+        return true;
+    }
+
+    /**
+     * Aim the beam toward a point on screen (client coordinates)
+     */
+    aimBeamAt(clientX, clientY) {
+        const { lantern } = this.elements;
+        if (!lantern) return false;
+
+        const rect = lantern.getBoundingClientRect();
+        const dx = clientX - (rect.left + rect.width / 2);
+        const dy = clientY - (rect.top + rect.height / 2);
+        return this.aimBeam(Math.atan2(-dx, dy) * 180 / Math.PI);
+    }
+
+    /**
+     * Handle window resize with debouncing
+     */
+    handleResize() {
+        this.clearTimer(this.resizeTimer);
+        this.resizeTimer = this.setTimer(() => {
+            // The canvas keeps its field and only rescales; the DOM renderer rebuilds
+            if (this.skyRenderer) {
+                this.skyRenderer.resize();
+            } else {
+                this.createSceneElements();
+            }
+        }, this.CONFIG.TIMING.RESIZE_DEBOUNCE);
+    }
+
+    /**
+     * Scroll parallax: how far the scene's centre sits above (positive) or
+     * below the middle of the viewport, in viewport heights
+     */
+    handleScroll() {
+        if (!this.parallaxLayers.length || !this.CONFIG.PARALLAX.SCROLL) return;
+
+        this.clock.schedule('scroll', () => {
+            const rect = this.root.getBoundingClientRect();
+            const viewport = window.innerHeight || 1;
+            const offset = (viewport / 2 - (rect.top + rect.height / 2)) / viewport;
+            this.setParallaxInput('scroll', 0, Math.max(-1, Math.min(1, offset)));
+        });
+    }
+
+    /**
+     * Set up smooth scrolling for anchor links
+     */
+    setupSmoothScrolling() {
+        this.root.querySelectorAll('a[href^="#"]').forEach(anchor => {
+            this.listen(anchor, 'click', (e) => {
+                e.preventDefault();
+                const target = document.querySelector(anchor.getAttribute('href'));
+                target?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+        });
+    }
+
+    /**
+     * Create the sky canvas when CONFIG.RENDERER is 'canvas' (DOM elements otherwise)
+     */
+    setupRenderer() {
+        if (this.CONFIG.RENDERER !== 'canvas' || this.skyRenderer) return;
+
+        const canvas = document.createElement('canvas');
+        canvas.className = 'sky-canvas';
+        canvas.setAttribute('aria-hidden', 'true');
+
+        const renderer = new SkyCanvasRenderer(canvas, this.CONFIG);
+        if (!renderer.isSupported) {
+            console.warn('Canvas 2D is not available, using the DOM renderer');
+            return;
+        }
+
+        const skyElements = this.root.querySelector('.sky-elements');
+        skyElements?.insertBefore(canvas, this.elements.starsContainer);
+        this.skyRenderer = renderer;
+        if (!this.isStill) this.clock.add('sky', (delta, time) => renderer.update(time));
+    }
+
+    /**
+     * Draw the random stars, shooting stars and clouds on the sky canvas.
+     * Catalogue stars stay DOM elements so they keep their names and positions.
+     */
+    populateCanvasSky() {
+        const { starsContainer, shootingStarsContainer, cloudsContainer } = this.elements;
+        const { show } = this.themeSettings;
+        const isMobile = this.root.clientWidth < this.CONFIG.BREAKPOINTS.MOBILE;
+        const { CATALOGUE } = this.CONFIG.SKY;
+
+        if (CATALOGUE) {
+            this.createEnhancedStars();
+        } else if (starsContainer) {
+            starsContainer.innerHTML = '';
+        }
+        if (shootingStarsContainer) shootingStarsContainer.innerHTML = '';
+        if (cloudsContainer) cloudsContainer.innerHTML = '';
+
+        this.useRandomStream('sky');
+        this.skyRenderer.populate({
+            stars: show.stars && !CATALOGUE ? (isMobile ? this.CONFIG.STARS.COUNT_MOBILE : this.CONFIG.STARS.COUNT_DESKTOP) : 0,
+            shootingStars: show.stars ? this.CONFIG.SHOOTING_STARS.COUNT : 0,
+            clouds: show.clouds ? (isMobile ? this.CONFIG.CLOUDS.COUNT_MOBILE : this.CONFIG.CLOUDS.COUNT_DESKTOP) : 0
+        }, this.rng);
+        this.skyRenderer.update(this.clock.time);
+    }
+
+    /**
+     * Create all dynamic scene elements
+     */
+    createSceneElements() {
+        if (this.skyRenderer) {
+            this.populateCanvasSky();
+        } else {
+            this.createEnhancedStars();
+            this.createEnhancedShootingStars();
+            this.createClouds();
+        }
+
+        if (this.clock.timeScale !== 1) this.syncCssAnimations();
+    }
+
+    /**
+     * Update scene elements when theme changes
+     */
+    updateSceneForTheme() {
+        this.clock.schedule('theme', () => {
+            this.createSceneElements();
+        });
+    }
+
+    /**
+     * Create enhanced stars with improved animations
+     */
+    createEnhancedStars() {
+        const container = this.elements.starsContainer;
+        // Stars hidden by the theme fade out with their container and are rebuilt when shown again
+        if (!container || !this.themeSettings.show.stars) return;
+
+        const fragment = document.createDocumentFragment();
+        const isMobile = this.root.clientWidth < this.CONFIG.BREAKPOINTS.MOBILE;
+        const starCount = isMobile ? this.CONFIG.STARS.COUNT_MOBILE : this.CONFIG.STARS.COUNT_DESKTOP;
+
+        // Clear existing stars
+        container.innerHTML = '';
+        this.animationState.starAnimations.clear();
+        this.useRandomStream('stars');
+
+        if (this.CONFIG.SKY.CATALOGUE) {
+            this.createCatalogueStars(container);
+            return;
+        }
+
+        for (let i = 0; i < starCount; i++) {
+            const star = this.createEnhancedStar(i);
+            fragment.appendChild(star);
+        }
+
+        container.appendChild(fragment);
+    }
+
+    /**
+     * Create individual enhanced star element
+     */
+    createEnhancedStar(index) {
+        const star = document.createElement('div');
+        star.className = 'star animated-element enhanced-star';
+        
+        const size = this.random(this.CONFIG.STARS.MIN_SIZE, this.CONFIG.STARS.MAX_SIZE);
+        const duration = this.random(this.CONFIG.STARS.MIN_DURATION, this.CONFIG.STARS.MAX_DURATION);
+        const delay = this.rng.next() * this.CONFIG.STARS.MAX_DELAY;
+        const opacity = this.random(this.CONFIG.STARS.MIN_OPACITY, this.CONFIG.STARS.MAX_OPACITY);
+        const x = this.rng.next() * 100;
+        const y = this.rng.next() * 100; // Keep stars in upper portion
+
+        // Add special star types
+        const starType = this.rng.next();
+        if (starType > 0.95) {
+            star.classList.add('bright-star');
+        } else if (starType > 0.85) {
+            star.classList.add('pulsing-star');
+        }
+
+        star.style.cssText = `
+            left: ${x}%;
+            top: ${y}%;
+            width: ${size}px;
+            height: ${size}px;
+            --twinkle-duration: ${duration}s;
+            --twinkle-delay: ${delay}s;
+            --star-opacity: ${opacity};
+            animation: enhancedTwinkle var(--twinkle-duration) infinite var(--twinkle-delay);
+        `;
+
+        return star;
+    }
+
+    /**
+     * Create the bundled bright stars (and constellation lines) for the catalogue sky
+     */
+    createCatalogueStars(container) {
+        const fragment = document.createDocumentFragment();
+
+        if (this.CONFIG.SKY.CONSTELLATION_LINES) {
+            const lines = Object.values(StarCatalogue.CONSTELLATIONS).flat()
+                .map(([from, to]) => `<line data-from="${from}" data-to="${to}"></line>`)
+                .join('');
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            svg.setAttribute('class', 'constellation-lines');
+            svg.setAttribute('viewBox', '0 0 100 100');
+            svg.setAttribute('preserveAspectRatio', 'none');
+            svg.innerHTML = lines;
+            fragment.appendChild(svg);
+        }
+
+        StarCatalogue.STARS.forEach(([name, , , magnitude]) => {
+            const star = document.createElement('div');
+            star.className = 'star animated-element enhanced-star catalogue-star';
+            star.dataset.star = name;
+            star.title = name;
+            if (magnitude < 1) star.classList.add('bright-star');
+
+            const size = Math.max(1, 4 - magnitude);
+            star.style.cssText = `
+                width: ${size}px;
+                height: ${size}px;
+                --twinkle-duration: ${this.random(this.CONFIG.STARS.MIN_DURATION, this.CONFIG.STARS.MAX_DURATION)}s;
+                --twinkle-delay: ${this.rng.next() * this.CONFIG.STARS.MAX_DELAY}s;
+                --star-opacity: ${Math.min(1, 1.2 - magnitude * 0.2)};
+                animation: enhancedTwinkle var(--twinkle-duration) infinite var(--twinkle-delay);
+            `;
+            fragment.appendChild(star);
+        });
+
+        container.appendChild(fragment);
+        this.positionCatalogueStars(this.getSceneDate());
+    }
+
+    /**
+     * Project catalogue stars for the observer and time, hiding those below the horizon
+     */
+    positionCatalogueStars(date) {
+        const container = this.elements.starsContainer;
+        if (!container) return;
+
+        const { LATITUDE, LONGITUDE } = this.CONFIG.DAYLIGHT;
+        const points = new Map();
+
+        StarCatalogue.getPositions(date, LATITUDE, LONGITUDE).forEach(({ name, altitude, azimuth }) => {
+            const star = container.querySelector(`[data-star="${name}"]`);
+            const point = altitude > 0 ? this.projectSky(altitude, azimuth) : null;
+            if (!star) return;
+
+            star.hidden = !point;
+            if (point) {
+                star.style.left = `${point.x}%`;
+                star.style.top = `${point.y}%`;
+                points.set(name, point);
+            }
+        });
+
+        container.querySelectorAll('.constellation-lines line').forEach(line => {
+            const from = points.get(line.dataset.from);
+            const to = points.get(line.dataset.to);
+            line.style.display = from && to ? '' : 'none';
+            if (from && to) {
+                line.setAttribute('x1', from.x);
+                line.setAttribute('y1', from.y);
+                line.setAttribute('x2', to.x);
+                line.setAttribute('y2', to.y);
+            }
+        });
+    }
+
+    /**
+     * Create enhanced shooting stars
+     */
+    createEnhancedShootingStars() {
+        const container = this.elements.shootingStarsContainer;
+        if (!container || !this.themeSettings.show.stars) return;
+
+        container.innerHTML = '';
+        this.useRandomStream('shooting-stars');
+        
+        for (let i = 0; i < this.CONFIG.SHOOTING_STARS.COUNT; i++) {
+            const shootingStar = this.createShootingStar(i);
+            container.appendChild(shootingStar);
+        }
+    }
+
+    /**
+     * Create individual shooting star
+     */
+    createShootingStar(index) {
+        const shootingStar = document.createElement('div');
+        shootingStar.className = 'shooting-star enhanced-shooting-star';
+        
+        const startX = this.rng.next() * 120 - 20; // Can start off-screen
+        const startY = this.rng.next() * 40;
+        const angle = 10 + this.rng.next() * 30; // Vary the angle
+        const duration = 3 + this.rng.next() * 4; // Vary duration
+        const delay = this.rng.next() * this.CONFIG.SHOOTING_STARS.MAX_DELAY;
+
+        shootingStar.style.cssText = `
+            top: ${startY}%;
+            left: ${startX}%;
+            --shooting-duration: ${duration}s;
+            --shooting-delay: ${delay}s;
+            --shooting-angle: ${angle}deg;
+            animation: enhancedShooting var(--shooting-duration) linear infinite var(--shooting-delay);
+        `;
+
+        return shootingStar;
+    }
+
+
+    /**
+     * Create clouds for themes that show them
+     */
+    createClouds() {
+        const container = this.elements.cloudsContainer;
+        if (!container || !this.themeSettings.show.clouds) return;
+
+        container.innerHTML = '';
+        this.useRandomStream('clouds');
+        const isMobile = this.root.clientWidth < this.CONFIG.BREAKPOINTS.MOBILE;
+        const cloudCount = isMobile ? this.CONFIG.CLOUDS.COUNT_MOBILE : this.CONFIG.CLOUDS.COUNT_DESKTOP;
+
+        for (let i = 0; i < cloudCount; i++) {
+            const cloud = document.createElement('div');
+            cloud.className = 'cloud';
+            
+            const size = this.random(this.CONFIG.CLOUDS.MIN_SIZE, this.CONFIG.CLOUDS.MAX_SIZE);
+            const duration = this.random(this.CONFIG.CLOUDS.MIN_DURATION, this.CONFIG.CLOUDS.MAX_DURATION);
+            const opacity = 0.3 + this.rng.next() * 0.4;
+
+            cloud.style.cssText = `
+                top: ${this.rng.next() * 40}%;
+                width: ${size}px;
+                height: ${size / 2}px;
+                opacity: ${opacity};
+                animation: cloudDrift ${duration}s linear infinite;
+                animation-delay: -${this.rng.next() * 60}s;
+            `;
+
+            container.appendChild(cloud);
+        }
+    }
+
+    /**
+     * Set up all animations
+     */
+    setupAnimations() {
+        this.setupStaggeredAnimations();
+        this.observeVisibility();
+    }
+
+    /**
+     * Set up staggered entrance animations using Intersection Observer
+     */
+    setupStaggeredAnimations() {
+        const options = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px'
+        };
+
+        this.intersectionObserver = new IntersectionObserver((entries) => {
+            entries.forEach((entry, index) => {
+                if (entry.isIntersecting) {
+                    this.setTimer(() => {
+                        entry.target.classList.add('visible');
+                    }, index * this.CONFIG.TIMING.STAGGER_DELAY);
+                }
+            });
+        }, options);
+
+        this.root.querySelectorAll('.staggered-element').forEach(el => {
+            this.intersectionObserver.observe(el);
+        });
+    }
+
+    /**
+     * Start the bird flocks in the sky layer
+     */
+    setupBirds() {
+        const { birdsContainer } = this.elements;
+        if (!birdsContainer || !this.CONFIG.BIRDS.ENABLED) return;
+
+        this.flocks = new BirdFlocks(birdsContainer, this.CONFIG);
+        this.resetBirds();
+        this.animateBirds();
+    }
+
+    animateBirds() {
+        if (!this.flocks) return;
+        this.clock.add('birds', (delta, time) => this.updateBirds(delta, time));
+    }
+
+    /**
+     * Clear the sky and restart the flocks from the scene seed
+     */
+    resetBirds() {
+        this.flocks?.reset(SeededRandom.hash(`${this.seed}:birds`));
+    }
+
+    updateBirds(delta, time) {
+        const geometry = this.measureLight(time);
+        if (!geometry || !delta) return;
+
+        // Birds only shy away from a beam that can be seen
+        const { beamRotation, beamOpacity } = this.animationState;
+        this.flocks.update(delta, {
+            ...geometry,
+            rotation: beamRotation,
+            isOn: this.isLightNeeded && this.lightMode !== 'off' && beamOpacity >= ShipTraffic.MIN_BEAM_OPACITY
+        });
+    }
+
+    /**
+     * Birds in the sky: { flock, x, y } with x and y as fractions of the scene size
+     */
+    getBirds() {
+        if (!this.flocks) return [];
+        const geometry = this.lightGeometry;
+        return this.flocks.list(geometry?.width ?? this.root.clientWidth, geometry?.height ?? this.root.clientHeight);
+    }
+
+    /**
+     * Start the scheduled night-sky events
+     */
+    setupSkyEvents() {
+        const { skyEventsContainer } = this.elements;
+        if (!skyEventsContainer || !this.CONFIG.SKY_EVENTS.ENABLED) return;
+
+        this.skyEvents = new SkyEvents(skyEventsContainer, this.CONFIG, (type, event) => {
+            if (type === 'aurora') this.announce('Aurora in the sky');
+            if (type === 'meteor-shower') this.announce(event.name ? `${event.name} meteor shower` : 'Meteor shower');
+            this.emit('skyevent', { type, id: event.id ?? null, name: event.name ?? null });
+        });
+        this.resetSkyEvents();
+        this.animateSkyEvents();
+    }
+
+    animateSkyEvents() {
+        if (!this.skyEvents) return;
+        this.clock.add('sky-events', (delta, time) => this.updateSkyEvents(delta, time));
+    }
+
+    /**
+     * Clear the sky events and restart their sequence from the scene seed
+     */
+    resetSkyEvents() {
+        this.skyEvents?.reset(SeededRandom.hash(`${this.seed}:sky-events`));
+    }
+
+    updateSkyEvents(delta, time) {
+        const container = this.elements.skyEventsContainer;
+        if (!delta) return;
+        if (!this.skyArea || Math.abs(time - this.skyArea.time) >= 1) {
+            this.skyArea = { time, width: container.offsetWidth, height: container.offsetHeight };
+        }
+
+        const { width, height } = this.skyArea;
+        if (!width || !height) return;
+
+        // Events need a clear night sky; themes with their own aurora get no more
+        const { show } = this.themeSettings;
+        this.skyEvents.update(delta, {
+            width,
+            height,
+            visible: show.stars && this.weather.state === 'clear',
+            aurora: !show.aurora
+        });
+    }
+
+    /**
+     * Stream the annual meteor shower active on the scene date from its
+     * radiant, while the radiant is above the horizon (CONFIG.SKY_EVENTS.SHOWERS = 'annual')
+     */
+    updateAnnualShower(date) {
+        if (!this.skyEvents) return;
+
+        const { SHOWERS, SHOWER_RATE, FREQUENCY } = this.CONFIG.SKY_EVENTS;
+        const shower = SHOWERS === 'annual' ? SkyEvents.getAnnualShower(date) : null;
+        if (!shower) {
+            this.skyEvents.setAnnualShower(null);
+            return;
+        }
+
+        const { LATITUDE, LONGITUDE } = this.CONFIG.DAYLIGHT;
+        const { RAD } = SolarCalculator;
+        const { altitude, azimuth } = SolarCalculator.toHorizontal(
+            shower.rightAscension * 15 * RAD, shower.declination * RAD, date, LATITUDE, LONGITUDE);
+        const point = altitude > 0 ? this.projectSky(altitude, azimuth, false) : null;
+
+        // A radiant low in the sky sends fewer meteors into view; one outside the view still fills it
+        this.skyEvents.setAnnualShower(point && {
+            name: shower.name,
+            radiant: { x: point.x / 100, y: point.y / 100 },
+            rate: SHOWER_RATE * FREQUENCY * (shower.rate / 100) * shower.activity * Math.sin(altitude * RAD)
+        });
+    }
+
+    /**
+     * Start a sky event now: 'aurora', 'meteor-shower', 'satellite' or 'aircraft'
+     */
+    startSkyEvent(type) {
+        if (!SkyEvents.TYPES.includes(type)) {
+            console.warn(`Unknown sky event '${type}'`);
+            return false;
+        }
+        if (!this.skyEvents) return false;
+
+        return this.skyEvents.start(type) !== null;
+    }
+
+    /**
+     * Running sky events: { id, type, progress } plus the radiant of meteor
+     * showers and the position of satellites and aircraft, as fractions of the sky
+     */
+    getSkyEvents() {
+        return this.skyEvents ? this.skyEvents.list() : [];
+    }
+
+    /**
+     * Start ship traffic on the sea layer
+     */
+    setupShips() {
+        const { shipsContainer } = this.elements;
+        if (!shipsContainer || !this.CONFIG.SHIPS.ENABLED) return;
+
+        this.traffic = new ShipTraffic(shipsContainer, this.CONFIG, (type, ship) => {
+            if (type === 'aground') this.announce('A ship has run aground');
+            this.emit(`ship${type}`, { id: ship.id });
+        });
+        this.resetShips();
+        this.animateShips();
+    }
+
+    animateShips() {
+        if (!this.traffic) return;
+        this.clock.add('ships', (delta, time) => this.updateShips(delta, time));
+    }
+
+    /**
+     * Clear the sea and restart the ships from the scene seed
+     */
+    resetShips() {
+        this.traffic?.reset(SeededRandom.hash(`${this.seed}:ships`));
+    }
+
+    updateShips(delta, time) {
+        const geometry = this.measureLight(time);
+        if (!geometry || !delta) return;
+
+        const { beamRotation, beamOpacity } = this.animationState;
+        this.traffic.update(delta, {
+            ...geometry,
+            rotation: beamRotation,
+            isOn: this.lightMode !== 'off' && beamOpacity >= ShipTraffic.MIN_BEAM_OPACITY,
+            isNeeded: this.isLightNeeded
+        });
+    }
+
+    /**
+     * Whether ships depend on the light: at night, in fog and in storms
+     */
+    get isLightNeeded() {
+        return this.isNight || this.weather.state === 'fog' || this.weather.state === 'storm';
+    }
+
+    /**
+     * Beam origin, cone half-angle and the rocks in scene pixels. Measured at
+     * most once a second so layout is not read on every frame.
+     */
+    measureLight(time) {
+        const { lantern, lightBeam, shore, shipsContainer, lighthouseContainer } = this.elements;
+        if (!lantern || !lightBeam || !shipsContainer) return null;
+        if (this.lightGeometry && Math.abs(time - this.lightGeometry.time) < 1) return this.lightGeometry;
+
+        // Work in the ship layer's own pixels, which pinch zoom scales on screen
+        const frame = shipsContainer.getBoundingClientRect();
+        if (!frame.width || !frame.height) return null;
+
+        const zoom = shipsContainer.offsetWidth ? frame.width / shipsContainer.offsetWidth : 1;
+        const toLocal = (x, y) => ({ x: (x - frame.left) / zoom, y: (y - frame.top) / zoom });
+
+        const lanternRect = lantern.getBoundingClientRect();
+        const origin = toLocal(lanternRect.left + lanternRect.width / 2, lanternRect.top + lanternRect.height / 2);
+
+        // The beam is clipped to a cone spanning 15%-85% of its width
+        const halfAngle = Math.atan2(lightBeam.offsetWidth * 0.35, lightBeam.offsetHeight || 1) * 180 / Math.PI;
+
+        // The rocks sit where the shore meets the sea below the lighthouse
+        const width = frame.width / zoom;
+        const height = frame.height / zoom;
+        const shoreBottom = shore ? toLocal(0, shore.getBoundingClientRect().bottom).y : 0;
+        const rocks = { x: origin.x, y: shoreBottom > 0 ? shoreBottom : height * this.CONFIG.SHIPS.LANE_TOP };
+
+        // The tower from lantern to base, which birds fly around
+        const towerRect = (lighthouseContainer || lantern).getBoundingClientRect();
+        const topLeft = toLocal(towerRect.left, towerRect.top);
+        const bottomRight = toLocal(towerRect.right, towerRect.bottom);
+        const tower = { left: topLeft.x, top: topLeft.y, right: bottomRight.x, bottom: bottomRight.y };
+
+        this.lightGeometry = { time, origin, halfAngle, reach: lightBeam.offsetHeight, rocks, tower, width, height };
+        return this.lightGeometry;
+    }
+
+    /**
+     * Ships on the sea: { id, x, y, lit, aground } with x and y as fractions of the scene size
+     */
+    getShips() {
+        return this.traffic ? this.traffic.list() : [];
+    }
+
+    /**
+     * Swell on the waves, the sun or moon reflected on the water and the beam's glint
+     */
+    setupSea() {
+        if (!this.elements.seaSurface) return;
+        this.clock.add('sea', (delta, time) => this.updateSea(time));
+    }
+
+    updateSea(time) {
+        const { waves } = this.elements;
+        const { height, period } = this.sea.swell;
+
+        // Rough weather raises the swell as it raises the surf
+        if (!this.isStill && height) {
+            const { SURF_INTENSITY } = LighthouseScene;
+            const amplitude = height * SURF_INTENSITY[this.weather.state] / SURF_INTENSITY.clear;
+
+            // Each wave line trails the one behind it by a third of a swell
+            waves.forEach((wave, index) => {
+                const phase = 2 * Math.PI * (time / period - index / waves.length);
+                wave.style.translate = `0 ${(-amplitude * Math.sin(phase)).toFixed(2)}px`;
+            });
+        }
+
+        const surface = this.measureSea(time);
+        if (!surface) return;
+        this.updateSeaReflection(surface);
+        this.updateBeamGlint(surface, time);
+    }
+
+    /**
+     * Where the water starts and which body shines on it, in the sea surface layer's pixels
+     */
+    measureSea(time) {
+        const { sea, seaSurface } = this.elements;
+        if (!sea || !seaSurface) return null;
+        if (this.sea.surface && Math.abs(time - this.sea.surface.time) < 1) return this.sea.surface;
+
+        const frame = seaSurface.getBoundingClientRect();
+        if (!frame.width || !frame.height) return null;
+
+        const zoom = seaSurface.offsetWidth ? frame.width / seaSurface.offsetWidth : 1;
+        const waterline = (sea.getBoundingClientRect().top - frame.top) / zoom;
+
+        // The moon by night, the sun by day, while it stands above the water
+        const body = this.root.querySelector(this.isNight ? '.moon' : '.sun');
+        const bodyRect = body?.getBoundingClientRect();
+        const reflection = bodyRect && bodyRect.width && (bodyRect.bottom - frame.top) / zoom < waterline ? {
+            x: (bodyRect.left + bodyRect.width / 2 - frame.left) / zoom,
+            width: bodyRect.width / zoom,
+            body: this.isNight ? 'moon' : 'sun',
+            strength: this.isNight ? Number(body.style.getPropertyValue('--moon-illumination') || 1) : 1
+        } : null;
+
+        this.sea.surface = { time, waterline, bottom: frame.height / zoom, reflection };
+        return this.sea.surface;
+    }
+
+    updateSeaReflection({ waterline, bottom, reflection }) {
+        const { seaReflection } = this.elements;
+        if (!seaReflection) return;
+
+        if (!this.CONFIG.SEA.REFLECTION || !reflection) {
+            seaReflection.style.opacity = '0';
+            return;
+        }
+
+        seaReflection.dataset.body = reflection.body;
+        seaReflection.style.left = `${reflection.x}px`;
+        seaReflection.style.top = `${waterline}px`;
+        seaReflection.style.width = `${reflection.width}px`;
+        seaReflection.style.height = `${bottom - waterline}px`;
+        seaReflection.style.opacity = (0.2 + 0.8 * reflection.strength).toFixed(2);
+    }
+
+    /**
+     * Put the glint where the beam meets the water, as bright as the beam, and
+     * spread as wide as the cone has grown by then. Angles follow the beam's
+     * CSS rotate(): 0 points down and positive swings left.
+     */
+    updateBeamGlint({ waterline, bottom }, time) {
+        const { beamGlint, lightBeam } = this.elements;
+        if (!beamGlint) return;
+
+        const light = this.measureLight(time);
+        const { beamRotation, beamOpacity } = this.animationState;
+        const angle = beamRotation * Math.PI / 180;
+        const down = Math.cos(angle);
+
+        // A little below the waterline, clear of the shore's edge
+        const surfaceY = waterline + (bottom - waterline) * 0.2;
+        const distance = light && down > 0.05 ? (surfaceY - light.origin.y) / down : 0;
+        const reach = light ? Math.max(0, Math.min(1, (light.reach * 1.3 - distance) / (light.reach * 0.3 || 1))) : 0;
+        const strength = this.isLightNeeded && this.lightMode !== 'off' && distance > 0
+            ? beamOpacity * this.CONFIG.SEA.GLINT * reach
+            : 0;
+
+        beamGlint.style.opacity = strength.toFixed(3);
+        if (!strength) return;
+
+        const x = light.origin.x - Math.sin(angle) * distance;
+        const width = Math.max(24, 2 * distance * Math.tan(light.halfAngle * Math.PI / 180));
+        beamGlint.style.width = `${width.toFixed(1)}px`;
+        beamGlint.style.transform = `translate(${(x - width / 2).toFixed(1)}px, ${surfaceY.toFixed(1)}px)`;
+
+        const color = this.lightMode === 'emergency' ? 'red' : lightBeam?.dataset.lightColor || 'white';
+        if (beamGlint.dataset.color !== color) beamGlint.dataset.color = color;
+    }
+
+    /**
+     * Raise or lower the sea for the tide at a date
+     */
+    updateTide(date) {
+        const { TIDE_RANGE, TIDE_LAG } = this.CONFIG.SEA;
+        const tide = LunarCalculator.getTide(date, this.CONFIG.DAYLIGHT.LONGITUDE, TIDE_LAG);
+
+        this.sea.tide = tide;
+        this.root.style.setProperty('--tide-rise', `${(TIDE_RANGE * (tide.level + 1) / 2 * 100).toFixed(2)}%`);
+        this.lightGeometry = null; // The rocks and waterline moved
+    }
+
+    /**
+     * Change the swell: height in pixels for a clear sea, period in seconds per wave
+     */
+    setSwell({ height = this.sea.swell.height, period = this.sea.swell.period } = {}) {
+        const [minHeight, maxHeight] = SceneConfig.RANGES['SEA.SWELL_HEIGHT'];
+        const [minPeriod, maxPeriod] = SceneConfig.RANGES['SEA.SWELL_PERIOD'];
+        if (typeof height !== 'number' || !(height >= minHeight && height <= maxHeight) ||
+            typeof period !== 'number' || !(period >= minPeriod && period <= maxPeriod)) {
+            console.warn(`Swell height must be ${minHeight}-${maxHeight} px and period ${minPeriod}-${maxPeriod} s, got`, { height, period });
+            return false;
+        }
+        if (height === this.sea.swell.height && period === this.sea.swell.period) return true;
+
+        this.sea.swell = { height, period };
+        if (!height) this.elements.waves.forEach(wave => wave.style.removeProperty('translate'));
+        this.emit('swellchange', { ...this.sea.swell });
+        return true;
+    }
+
+    /**
+     * Swell (height in pixels before weather, period in seconds) and tide (level -1 to 1, rising or falling)
+     */
+    getSeaState() {
+        return {
+            swell: { ...this.sea.swell },
+            tide: { ...this.sea.tide }
+        };
+    }
+
+    /**
+     * Keeper's panel button, lamp intensity and the daily schedule
+     */
+    setupKeeper() {
+        const { panelToggle } = this.elements;
+        this.root.style.setProperty('--lamp-intensity', this.lampIntensity);
+
+        if (panelToggle) {
+            panelToggle.hidden = !this.CONFIG.KEEPER.PANEL;
+            this.listen(panelToggle, 'click', this.handlePanelToggle);
+        }
+        this.startSchedule();
+    }
+
+    /**
+     * Set up audio with proper error handling
+     */
+    setupAudio() {
+        const { soundToggle } = this.elements;
+        if (!soundToggle) return;
+
+        try {
+            // Set initial state
+            soundToggle.textContent = "🔇";
+            soundToggle.setAttribute('aria-label', 'Enable Sound');
+
+            if (!Soundscape.isSupported) {
+                console.warn('Web Audio is not available; sound is disabled');
+                soundToggle.style.display = 'none'; // Hide if audio unavailable
+                return;
+            }
+
+            // Gull calls and foghorn blasts follow the animation clock
+            this.clock.add('audio', delta => this.soundscape.update(delta));
+        } catch (error) {
+            console.error('Audio setup failed:', error);
+        }
+    }
+
+    /**
+     * Set up accessibility features
+     */
+    setupAccessibility() {
+        // Respect user's motion preferences unless they chose otherwise in the scene
+        if (typeof window.matchMedia === 'function') {
+            this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.listen(this.motionQuery, 'change', this.handleMotionQueryChange);
+        }
+
+        this.applyReducedMotion();
+    }
+
+    handleMotionQueryChange() {
+        if (this.motionPreference === 'auto') this.applyReducedMotion();
+    }
+
+    /**
+     * Whether the still scene is in effect (user choice, else the system setting)
+     */
+    get reducedMotion() {
+        if (this.motionPreference !== 'auto') return this.motionPreference;
+        return Boolean(this.motionQuery?.matches);
+    }
+
+    /**
+     * Turn the still scene on (true), off (false) or back to the system setting ('auto').
+     * The choice is remembered across visits.
+     */
+    setReducedMotion(preference) {
+        if (preference !== true && preference !== false && preference !== 'auto') {
+            console.warn(`Reduced motion must be true, false or 'auto', got`, preference);
+            return false;
+        }
+
+        this.motionPreference = preference;
+        this.savePreference('reducedMotion', preference === 'auto' ? undefined : preference);
+        this.applyReducedMotion();
+        return true;
+    }
+
+    /**
+     * Switch every subsystem between its animated and still rendering
+     */
+    applyReducedMotion() {
+        const still = this.reducedMotion;
+        const isInitial = this.isStill === null;
+        if (still === this.isStill) return;
+
+        this.isStill = still;
+        this.root.classList.toggle('still-scene', still);
+
+        const { motionToggle } = this.elements;
+        if (motionToggle) {
+            motionToggle.setAttribute('aria-pressed', String(still));
+            motionToggle.textContent = still ? '🖼️' : '🌊';
+        }
+
+        // Birds, ships and sky events hold their place and the sky canvas keeps one frame without shooting stars
+        if (still) {
+            this.clock.remove('birds');
+            this.clock.remove('ships');
+            this.clock.remove('sky-events');
+            this.clock.remove('sky');
+            this.resetTilt();
+            this.resetParallax();
+        } else {
+            this.animateBirds();
+            this.animateShips();
+            this.animateSkyEvents();
+            if (this.parallaxLayers.length) this.animateParallax();
+            if (this.skyRenderer) this.clock.add('sky', (delta, time) => this.skyRenderer.update(time));
+        }
+        if (this.skyRenderer) {
+            this.skyRenderer.isStill = still;
+            this.skyRenderer.draw();
+        }
+
+        this.updateLightMode(); // Beam switches between sweep and slow crossfade
+
+        if (!isInitial) {
+            this.announce(still ? 'Still scene on' : 'Still scene off');
+            this.emit('reducedmotionchange', { enabled: still, preference: this.motionPreference });
+        }
+    }
+
+    /**
+     * Starting weather from options/data-weather (default: clear)
+     */
+    resolveInitialWeather(weather) {
+        if (!weather || LighthouseScene.WEATHER_STATES.includes(weather)) return weather || 'clear';
+
+        console.warn(`Unknown weather '${weather}', using 'clear'`);
+        return 'clear';
+    }
+
+    /**
+     * Change the weather; layers crossfade over CONFIG.WEATHER.TRANSITION
+     */
+    setWeather(state) {
+        if (!LighthouseScene.WEATHER_STATES.includes(state)) {
+            console.warn(`Unknown weather '${state}'`);
+            return false;
+        }
+
+        const { root } = this;
+        const previousWeather = this.weather.state;
+        const isInitial = !root.classList.contains(`weather-${previousWeather}`);
+        if (state === previousWeather && !isInitial) return true;
+
+        this.weather.state = state;
+        root.style.setProperty('--weather-transition', `${this.CONFIG.WEATHER.TRANSITION}ms`);
+        LighthouseScene.WEATHER_STATES.forEach(name => root.classList.toggle(`weather-${name}`, name === state));
+
+        this.createRain();
+        this.stopLightning();
+        this.stopFogSignal();
+
+        if (state === 'storm') this.scheduleLightning();
+        if (state === 'fog') this.startFogSignal();
+
+        if (state === 'storm') {
+            this.clock.add('weather', delta => this.updateWeather(delta));
+        } else {
+            this.clock.remove('weather');
+        }
+
+        this.updateLightMode(); // Also updates the soundscape
+        if (!isInitial) {
+            this.savePreference('weather', state);
+            this.announce(`Weather: ${state}`);
+            this.emit('weatherchange', { weather: state, previousWeather });
+        }
+        return true;
+    }
+
+    /**
+     * Generate rain drops for rain and storm; heavier in storms
+     */
+    createRain() {
+        const container = this.root.querySelector('.rain-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const { state } = this.weather;
+        if (state !== 'rain' && state !== 'storm') return;
+
+        this.useRandomStream('rain');
+        const isMobile = this.root.clientWidth < this.CONFIG.BREAKPOINTS.MOBILE;
+        const baseCount = isMobile ? this.CONFIG.WEATHER.RAIN_DROPS_MOBILE : this.CONFIG.WEATHER.RAIN_DROPS_DESKTOP;
+        const dropCount = Math.round(state === 'storm' ? baseCount * 1.5 : baseCount);
+        const fragment = document.createDocumentFragment();
+
+        for (let i = 0; i < dropCount; i++) {
+            const drop = document.createElement('div');
+            drop.className = 'raindrop';
+            drop.style.cssText = `
+                left: ${this.rng.next() * 110 - 5}%;
+                height: ${this.random(12, 24)}px;
+                opacity: ${this.random(0.2, 0.6)};
+                animation: rainFall ${this.random(0.45, 0.9)}s linear infinite;
+                animation-delay: -${this.rng.next()}s;
+            `;
+            fragment.appendChild(drop);
+        }
+
+        container.appendChild(fragment);
+        if (this.clock.timeScale !== 1) this.syncCssAnimations();
+    }
+
+    /**
+     * Count down lightning and thunder on the animation clock
+     */
+    updateWeather(delta) {
+        const { weather } = this;
+
+        if (weather.nextLightning !== null) {
+            weather.nextLightning -= delta;
+            if (weather.nextLightning <= 0) {
+                this.triggerLightning();
+                this.scheduleLightning();
+            }
+        }
+
+        weather.thunder = weather.thunder.filter(roll => {
+            roll.delay -= delta;
+            if (roll.delay > 0) return true;
+
+            this.soundscape.playThunder(roll.intensity);
+            return false;
+        });
+    }
+
+    /**
+     * Queue the next lightning strike at a random interval
+     */
+    scheduleLightning() {
+        const { LIGHTNING_MIN_INTERVAL, LIGHTNING_MAX_INTERVAL } = this.CONFIG.WEATHER;
+        const interval = this.random(LIGHTNING_MIN_INTERVAL, Math.max(LIGHTNING_MIN_INTERVAL, LIGHTNING_MAX_INTERVAL));
+
+        this.weather.nextLightning = interval / 1000;
+    }
+
+    /**
+     * Flash the sky, then roll thunder after a distance-dependent delay
+     */
+    triggerLightning() {
+        // No flashes in the still scene; the thunder still rolls
+        const flash = this.root.querySelector('.lightning-flash');
+        if (flash && !this.reducedMotion) {
+            flash.classList.remove('strike');
+            void flash.offsetWidth; // Restart the flash animation
+            flash.classList.add('strike');
+        }
+
+        const delay = this.random(300, this.CONFIG.WEATHER.THUNDER_MAX_DELAY);
+        const distance = delay / this.CONFIG.WEATHER.THUNDER_MAX_DELAY;
+        this.weather.thunder.push({ delay: delay / 1000, intensity: 1 - distance * 0.6 });
+    }
+
+    stopLightning() {
+        this.weather.nextLightning = null;
+        this.weather.thunder = [];
+    }
+
+    /**
+     * Fog: keep the light on with the fog characteristic (the soundscape sounds the foghorn)
+     */
+    startFogSignal() {
+        const { FOG_CHARACTERISTIC } = this.CONFIG.WEATHER;
+
+        try {
+            this.weather.fogCharacteristic = FOG_CHARACTERISTIC ? LightCharacteristic.parse(FOG_CHARACTERISTIC) : null;
+        } catch (error) {
+            console.warn('Invalid fog characteristic:', error.message);
+            this.weather.fogCharacteristic = null;
+        }
+
+        // A station never goes dark in fog
+        if (this.lightMode === 'off') this.withoutSaving(() => this.setLightMode('moving'));
+    }
+
+    stopFogSignal() {
+        this.weather.fogCharacteristic = null;
+    }
+
+    /**
+     * Utility method for generating random numbers in range
+     */
+    random(min, max) {
+        return this.rng.next() * (max - min) + min;
+    }
+
+    /**
+     * Restart the PRNG on a stream derived from the seed and a generator name,
+     * so each generator draws the same values for a seed however often it runs
+     */
+    useRandomStream(name) {
+        this.rng = new SeededRandom(SeededRandom.hash(`${this.seed}:${name}`));
+    }
+
+    /**
+     * Regenerate every random element from a new seed
+     */
+    setSeed(seed) {
+        if (seed === null || seed === undefined || String(seed).trim() === '') {
+            console.warn('A scene seed must be a number or a non-empty string');
+            return false;
+        }
+
+        this.seed = SeededRandom.normalize(seed);
+        this.clock.cancel('theme');
+        this.createSceneElements();
+        this.createRain();
+        this.resetShips();
+        this.resetBirds();
+        this.resetSkyEvents();
+        this.emit('seedchange', { seed: this.seed });
+        return true;
+    }
+
+    /**
+     * Capture what is needed to rebuild this exact frame. Returns a plain object,
+     * or serialized with format 'json' or 'hash' ('#seed=…&theme=…', for links).
+     */
+    snapshot(format = 'object') {
+        const state = {
+            version: LighthouseScene.SNAPSHOT_VERSION,
+            seed: this.seed,
+            theme: this.daylight.enabled ? 'auto' : this.theme,
+            lightMode: this.lightMode,
+            aim: this.lightMode === 'manual' ? Math.round(this.beamAim * 10) / 10 : null,
+            characteristic: this.lightCharacteristic?.notation ?? null,
+            weather: this.weather.state,
+            time: Math.round(this.clock.time * 1000) / 1000,
+            date: this.getSceneDate().toISOString()
+        };
+
+        if (format === 'json') return JSON.stringify(state);
+        if (format === 'hash') {
+            const params = new URLSearchParams();
+            Object.entries(state).forEach(([key, value]) => {
+                if (value !== null) params.set(key, value);
+            });
+            return `#${params}`;
+        }
+        return state;
+    }
+
+    /**
+     * Read a snapshot from an object, JSON string or URL hash; null if it is not one
+     */
+    static parseSnapshot(input) {
+        let state = input;
+
+        try {
+            if (typeof input === 'string' && input.startsWith('#')) {
+                const params = new URLSearchParams(input.slice(1));
+                if (!params.has('seed')) return null;
+
+                state = Object.fromEntries(params);
+                state.version = Number(state.version ?? LighthouseScene.SNAPSHOT_VERSION);
+                state.time = Number(state.time ?? 0);
+                state.aim = params.has('aim') ? Number(params.get('aim')) : null;
+                state.characteristic = params.get('characteristic');
+            } else if (typeof input === 'string') {
+                state = JSON.parse(input);
+            }
+        } catch (error) {
+            console.warn('Invalid scene snapshot:', error.message);
+            return null;
+        }
+
+        if (!SceneConfig.isPlainObject(state) || state.seed === undefined) return null;
+        if (state.version > LighthouseScene.SNAPSHOT_VERSION) {
+            console.warn(`Scene snapshot version ${state.version} is newer than supported (${LighthouseScene.SNAPSHOT_VERSION})`);
+            return null;
+        }
+        return state;
+    }
+
+    /**
+     * Rebuild the frame captured by snapshot(): same seed, state and animation time
+     */
+    restore(input) {
+        const state = LighthouseScene.parseSnapshot(input);
+        if (!state) {
+            console.warn('Cannot restore scene from', input);
+            return false;
+        }
+
+        this.seed = SeededRandom.normalize(state.seed);
+        // A shared link shows its frame without replacing the visitor's saved choices
+        this.withoutSaving(() => {
+            if (state.date) this.setSceneDate(state.date);
+            if (state.theme) this.setTheme(state.theme);
+            if (state.lightMode) this.setLightMode(state.lightMode);
+            if (state.lightMode === 'manual' && Number.isFinite(state.aim)) {
+                this.aimBeam(state.aim);
+                this.animationState.beamRotation = this.beamAim; // Already there, not easing in
+            }
+            if (state.characteristic !== undefined) this.setLightCharacteristic(state.characteristic);
+            if (state.weather) this.setWeather(state.weather);
+        });
+
+        // Regenerate from the restored seed now instead of on the next frame
+        this.clock.cancel('theme');
+        this.createSceneElements();
+        this.createRain();
+        this.resetShips();
+        this.resetBirds();
+        this.resetSkyEvents();
+
+        const time = Number.isFinite(state.time) ? Math.max(0, state.time) : 0;
+        this.clock.seek(time);
+        this.seekCssAnimations(time);
+
+        this.emit('restore', { snapshot: state });
+        return true;
+    }
+
+    /**
+     * Move every CSS animation in the scene to the same point as the clock
+     */
+    seekCssAnimations(time) {
+        if (typeof this.root.getAnimations !== 'function') return;
+
+        this.root.getAnimations({ subtree: true }).forEach(animation => {
+            animation.currentTime = time * 1000;
+        });
+    }
+
+    /**
+     * Advance the clock and every CSS animation by one frame of real time, scaled like the live scene
+     */
+    stepFrame(seconds) {
+        const delta = seconds * this.clock.timeScale;
+        this.clock.step(delta);
+
+        if (typeof this.root.getAnimations !== 'function') return;
+        this.root.getAnimations({ subtree: true }).forEach(animation => {
+            animation.currentTime = (animation.currentTime ?? 0) + delta * 1000;
+        });
+    }
+
+    /**
+     * Record the running scene. Frames are stepped by hand rather than captured
+     * live, so every export of the same scene is frame-exact however slow the
+     * machine. Formats:
+     *   'webm'   - video Blob of `duration` seconds at `fps`
+     *   'frames' - array of PNG Blobs, one per frame
+     *   'png'    - a single PNG Blob, by default at twice the on-screen size
+     * Width and height default to the scene size times `scale`; giving one keeps
+     * the scene's aspect ratio, giving both lays the scene out at that ratio.
+     * Progress is reported through 'exportprogress' events; `signal` or destroy() aborts.
+     * Resolves to null when the options or the browser cannot make the export.
+     */
+    async export(options = {}) {
+        const settings = this.CONFIG.EXPORT;
+        const {
+            format = 'webm',
+            duration = settings.DURATION,
+            fps = settings.FPS,
+            bitrate = settings.VIDEO_BITRATE,
+            includeControls = false,
+            signal
+        } = options;
+
+        if (!['webm', 'frames', 'png'].includes(format)) {
+            console.warn(`Unknown export format "${format}"; expected "webm", "frames" or "png"`);
+            return null;
+        }
+        if (!(duration > 0 && duration <= 600) || !(fps >= 1 && fps <= 60)) {
+            console.warn('Export duration must be between 0 and 600 seconds and fps between 1 and 60');
+            return null;
+        }
+        if (format === 'webm' && !SceneRecorder.canRecordVideo) {
+            console.warn('WebM recording is not supported in this browser; export "frames" instead');
+            return null;
+        }
+        if (this.recorder) {
+            console.warn('An export is already running');
+            return null;
+        }
+
+        const size = this.getExportSize(options, format === 'png' ? settings.STILL_SCALE : settings.SCALE, format === 'webm');
+        if (!size) {
+            console.warn('Export width and height must be positive numbers');
+            return null;
+        }
+        signal?.throwIfAborted();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size.width;
+        canvas.height = size.height;
+        const context = canvas.getContext('2d');
+        const recorder = this.recorder = new SceneRecorder(this.root, { includeControls });
+        const controller = this.exportController = new AbortController();
+        const abort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', abort);
+        const frameCount = format === 'png' ? 1 : Math.max(1, Math.round(duration * fps));
+        const toBlob = () => new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+        // Take the scene off the live clock; export steps it frame by frame
+        this.clock.setSuspended('export', true);
+        this.root.classList.add('scene-suspended');
+        const relaid = recorder.setAspectRatio(size.width / size.height);
+        if (relaid) {
+            this.skyRenderer?.resize();
+            this.lightGeometry = null;
+        }
+
+        const drawFrame = async (frame) => {
+            if (frame > 0) this.stepFrame(1 / fps);
+            await recorder.renderFrame(context, size.width, size.height);
+            controller.signal.throwIfAborted(); // Aborted or destroyed while drawing
+            this.emit('exportprogress', { format, frame: frame + 1, frameCount });
+        };
+
+        try {
+            if (format === 'webm') {
+                return await recorder.recordVideo(canvas, { frameCount, fps, bitrate, drawFrame, signal: controller.signal });
+            }
+
+            const frames = [];
+            for (let frame = 0; frame < frameCount; frame++) {
+                controller.signal.throwIfAborted();
+                await drawFrame(frame);
+                frames.push(await toBlob());
+            }
+            return format === 'png' ? frames[0] : frames;
+        } finally {
+            signal?.removeEventListener('abort', abort);
+            this.exportController = null;
+            this.recorder = null;
+
+            // destroy() has already handed the root back as it was found
+            if (this.lifecycle !== 'destroyed') {
+                recorder.restore();
+                if (relaid) this.skyRenderer?.resize();
+                this.lightGeometry = null;
+                this.clock.setSuspended('export', false);
+                this.root.classList.toggle('scene-suspended', this.clock.isSuspended);
+            }
+        }
+    }
+
+    /**
+     * Pixel size for an export, clamped to what canvases allow; video sizes are kept even for the encoder
+     */
+    getExportSize({ width, height, scale }, defaultScale, even) {
+        const sceneWidth = this.root.clientWidth || window.innerWidth;
+        const sceneHeight = this.root.clientHeight || window.innerHeight;
+        const factor = scale ?? defaultScale;
+
+        if (width === undefined && height === undefined) {
+            width = sceneWidth * factor;
+            height = sceneHeight * factor;
+        } else if (height === undefined) {
+            height = width * sceneHeight / sceneWidth;
+        } else if (width === undefined) {
+            width = height * sceneWidth / sceneHeight;
+        }
+        if (!(width > 0 && height > 0)) return null;
+
+        const fit = Math.min(1, SceneRecorder.MAX_SIZE / Math.max(width, height));
+        const round = value => even ? Math.max(2, Math.round(value * fit / 2) * 2) : Math.max(1, Math.round(value * fit));
+        return { width: round(width), height: round(height) };
+    }
+
+    /**
+     * Clean up resources when destroying the scene: every listener, timer,
+     * observer and generated node goes, and the root is handed back as it was
+     * found, so a new scene can mount in it. Calling it again does nothing.
+     */
+    destroy() {
+        if (this.lifecycle === 'destroyed') return;
+        this.lifecycle = 'destroyed';
+        LighthouseScene.instances.delete(this);
+
+        // Clear timers
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+        this.stopDaylightCycle();
+        clearInterval(this.skyTimer);
+        clearInterval(this.keeper.timer);
+        this.stopLightning();
+        this.stopFogSignal();
+        this.soundscape.destroy();
+        
+        // Stop the animation loop and everything subscribed to it
+        this.clock.destroy();
+        this.skyRenderer?.destroy();
+        this.skyRenderer = null;
+        this.traffic?.destroy();
+        this.traffic = null;
+        this.flocks?.destroy();
+        this.flocks = null;
+        this.skyEvents?.destroy();
+        this.skyEvents = null;
+        this.gestures?.destroy();
+        this.gestures = null;
+
+        // Stop a running export before it steps the torn-down scene again
+        this.exportController?.abort(new DOMException('The scene was destroyed', 'AbortError'));
+        this.recorder?.restore();
+        
+        // Disconnect observers
+        this.intersectionObserver?.disconnect();
+        this.intersectionObserver = null;
+        this.visibilityObserver?.disconnect();
+        this.visibilityObserver = null;
+        
+        // Remove event listeners
+        this.teardown.abort();
+        this.motionQuery = null;
+
+        this.removeSceneElements();
+        this.emit('destroy', {});
+        
+        console.log('🏮 Lighthouse scene destroyed');
+    }
+
+    /**
+     * Remove the generated stars, clouds, rain and overlays (or all of the
+     * markup if the scene rendered it) and restore the root's classes, styles
+     * and any fallback content
+     */
+    removeSceneElements() {
+        const { root, rootState } = this;
+
+        if (rootState.rendered) {
+            root.replaceChildren(...rootState.content);
+        } else {
+            root.querySelectorAll('.keyboard-help, .mode-menu, .keeper-panel').forEach(overlay => overlay.remove());
+            root.querySelectorAll('.stars-container, .shooting-stars-container, .clouds-container, .rain-container')
+                .forEach(container => container.replaceChildren());
+        }
+
+        const restore = (name, value) => (value === null ? root.removeAttribute(name) : root.setAttribute(name, value));
+        restore('class', rootState.className);
+        restore('style', rootState.style);
+    }
+}
+
+/**
+ * <lighthouse-scene> custom element: a self-contained scene in its own shadow
+ * root, with styles.css loaded inside it, for pages and frameworks that do
+ * not use index.html.
+ *
+ * The theme, light-mode and seed attributes pick the starting state and change
+ * it at runtime; muted turns the sound off (removing it turns sound on). The
+ * scene writes theme, light-mode and muted back as they change, and remembers
+ * nothing between visits unless data-preferences-enabled is set. data-*
+ * attributes configure the scene as on [data-lighthouse-scene] roots, and the
+ * scene itself is the element's scene property. Removing the element destroys it.
+ */
+class LighthouseSceneElement extends HTMLElement {
+    static observedAttributes = ['theme', 'light-mode', 'muted', 'seed'];
+
+    // Stylesheet loaded into every shadow root; set before the elements connect to move it
+    static stylesheet = new URL('styles.css', document.currentScript?.src || document.baseURI).href;
+
+    // Initial values of the theme palette, as in the @property rules of styles.css
+    static PALETTE_INITIAL = {
+        '--sky-top': '#000010',
+        '--sky-bottom': '#001a33',
+        '--sea-top': '#001f3f',
+        '--sea-bottom': '#003366',
+        '--shore': '#3a2d0f',
+        '--scene-text': '#cccccc',
+        '--cloud-color': 'rgba(255, 255, 255, 0.3)',
+        '--bird-color': '#777777'
+    };
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.scene = null;
+        this.reflecting = false; // Set while the scene writes its state back to the attributes
+        this.reflectAttributes = this.reflectAttributes.bind(this);
+    }
+
+    /**
+     * Shadow roots ignore @property rules, so register the palette from script
+     * to keep the theme crossfades; styles.css on the page may have already
+     */
+    static registerPalette() {
+        if (typeof CSS === 'undefined' || !CSS.registerProperty) return;
+
+        Object.entries(LighthouseSceneElement.PALETTE_INITIAL).forEach(([name, initialValue]) => {
+            try {
+                CSS.registerProperty({ name, syntax: '<color>', inherits: true, initialValue });
+            } catch {
+                // Already registered by another element
+            }
+        });
+    }
+
+    connectedCallback() {
+        if (this.scene) return;
+        LighthouseSceneElement.registerPalette();
+
+        const stylesheet = document.createElement('link');
+        stylesheet.rel = 'stylesheet';
+        stylesheet.href = LighthouseSceneElement.stylesheet;
+
+        const root = document.createElement('div');
+        root.setAttribute('role', 'region');
+        root.setAttribute('aria-label', this.getAttribute('aria-label') || 'Interactive lighthouse scene');
+        Object.assign(root.dataset, this.dataset);
+        // Several elements can share a page, so shortcuts need focus inside the element by default
+        if (root.dataset.keyboardGlobal === undefined) root.dataset.keyboardGlobal = 'false';
+        // Elements would otherwise share one preference record; their attributes set the state unless opted in
+        if (root.dataset.preferencesEnabled === undefined) root.dataset.preferencesEnabled = 'false';
+        this.shadowRoot.replaceChildren(stylesheet, root);
+
+        this.scene = new LighthouseScene(root, {
+            theme: this.getAttribute('theme'),
+            lightMode: this.getAttribute('light-mode'),
+            seed: this.getAttribute('seed')
+        });
+        this.scene.init();
+        ['themechange', 'lightmodechange', 'soundchange'].forEach(type => {
+            this.scene.addEventListener(type, this.reflectAttributes);
+        });
+        this.reflectAttributes();
+
+        this.dispatchEvent(new CustomEvent('lighthousesceneready', { bubbles: true, composed: true, detail: { scene: this.scene } }));
+    }
+
+    disconnectedCallback() {
+        if (!this.scene) return;
+
+        ['themechange', 'lightmodechange', 'soundchange'].forEach(type => {
+            this.scene.removeEventListener(type, this.reflectAttributes);
+        });
+        this.scene.destroy();
+        this.scene = null;
+        this.shadowRoot.replaceChildren();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        const { scene } = this;
+        if (!scene || this.reflecting || value === oldValue) return;
+
+        switch (name) {
+            case 'theme':
+                if (value !== null && !scene.setTheme(value)) this.reflectAttributes();
+                break;
+            case 'light-mode':
+                if (value !== null && !scene.setLightMode(value)) this.reflectAttributes();
+                break;
+            case 'muted':
+                // Browsers may keep sound off until the user interacts with the page
+                scene.setSound(value === null).then(this.reflectAttributes);
+                break;
+            case 'seed':
+                if (value !== null) scene.setSeed(value);
+                break;
+        }
+    }
+
+    /**
+     * Write the scene's theme, light mode and sound state to the attributes
+     */
+    reflectAttributes() {
+        const { scene } = this;
+        if (!scene) return;
+
+        this.reflecting = true;
+        this.setAttribute('theme', scene.daylight.enabled ? 'auto' : scene.theme);
+        this.setAttribute('light-mode', scene.lightMode);
+        this.toggleAttribute('muted', !scene.soundEnabled);
+        this.reflecting = false;
+    }
+}
+
+if (window.customElements && !customElements.get('lighthouse-scene')) {
+    customElements.define('lighthouse-scene', LighthouseSceneElement);
+}
+
+/**
+ * Page chrome of index.html around the scenes: the fullscreen button and F key,
+ * and the experience and welcome messages fading out. Returns a function that
+ * removes its listeners and timers.
+ */
+function setupPageControls() {
+    const listeners = new AbortController();
+    const { signal } = listeners;
+    const timers = new Set();
+    const later = (callback, delay) => {
+        const id = setTimeout(() => {
+            timers.delete(id);
+            callback();
+        }, delay);
+        timers.add(id);
+    };
+
+    // Fullscreen toggle functionality
+    const fullscreenButton = document.getElementById("right-button");
+
+    const toggleFullscreen = () => {
+        if (!document.fullscreenElement) {
+            document.documentElement.requestFullscreen().catch(err => {
+                alert(`Error attempting to enable full-screen mode: ${err.message}`);
+            });
+        } else {
+            document.exitFullscreen();
+        }
+    };
+
+    // Button click
+    fullscreenButton?.addEventListener("click", toggleFullscreen, { signal });
+
+    // Press 'F' key (not while typing or with modifier keys)
+    document.addEventListener("keydown", (event) => {
+        if (event.ctrlKey || event.metaKey || event.altKey || LighthouseScene.isTypingTarget(LighthouseScene.getEventTarget(event))) return;
+        if (event.key === "f" || event.key === "F") {
+            toggleFullscreen();
+        }
+    }, { signal });
+
+    // Experience message fade out
+    later(() => {
+        const msg = document.getElementById("experience-message");
+        if (msg) {
+            msg.style.opacity = "0";
+            later(() => msg.remove(), 1000);
+        }
+    }, 3000);
+
+    // Hide the welcome message after 5 seconds
+    later(() => {
+        const msg = document.getElementById("welcome-message");
+        if (msg) msg.style.opacity = "0";
+    }, 5000);
+
+    return () => {
+        listeners.abort();
+        timers.forEach(id => clearTimeout(id));
+        timers.clear();
+    };
+}
+
+let removePageControls = null;
+
+/**
+ * Initialize a lighthouse scene in every [data-lighthouse-scene] element, and
+ * the page controls; does nothing while they are mounted
+ */
+function mountLighthousePage() {
+    if (removePageControls) return;
+
+    const scenes = Array.from(document.querySelectorAll('[data-lighthouse-scene]'), (root, index) => {
+        const scene = new LighthouseScene(root);
+        scene.init();
+
+        // Shared links (#seed=…&theme=…) rebuild the first scene exactly
+        if (index === 0 && window.location.hash && LighthouseScene.parseSnapshot(window.location.hash)) {
+            scene.restore(window.location.hash);
+        }
+        root.dispatchEvent(new CustomEvent('lighthousesceneready', { bubbles: true, detail: { scene } }));
+        return scene;
+    });
+    
+    // Expose the scenes so host pages can script them
+    window.lighthouseScenes = scenes;
+    window.lighthouseScene = scenes[0];
+    removePageControls = setupPageControls();
+}
+
+/**
+ * Destroy the scenes mountLighthousePage() created and remove the page controls
+ */
+function unmountLighthousePage() {
+    (window.lighthouseScenes || []).forEach(scene => scene.destroy());
+    window.lighthouseScenes = [];
+    window.lighthouseScene = undefined;
+    removePageControls?.();
+    removePageControls = null;
+}
+
+document.addEventListener('DOMContentLoaded', mountLighthousePage);
+
+window.LighthouseScene = LighthouseScene;
+window.LighthouseSceneElement = LighthouseSceneElement;
+window.mountLighthousePage = mountLighthousePage;
+window.unmountLighthousePage = unmountLighthousePage;
+
+/**
+ * Handle page unload cleanup: the page's scenes and any mounted by hand or by
+ * <lighthouse-scene> elements. Pages kept in the back/forward cache are left
+ * running so they come back as they were.
+ */
+window.addEventListener('pagehide', (event) => {
+    if (event.persisted) return;
+
+    unmountLighthousePage();
+    LighthouseScene.instances.forEach(scene => scene.destroy());
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+const SCRIPT_PATH = path.join(ROOT, 'script.js');
+const SCRIPT = new vm.Script(fs.readFileSync(SCRIPT_PATH, 'utf8'), { filename: SCRIPT_PATH });
+
+/**
+ * Load script.js into a fresh jsdom window, as the page's deferred script would.
+ * Browser APIs jsdom lacks are stubbed; `before` can instrument the window first.
+ * console.warn calls are collected in `warnings` rather than printed.
+ */
+function loadScript({ html = '<!DOCTYPE html><html><head></head><body></body></html>', before } = {}) {
+    const warnings = [];
+    const virtualConsole = new VirtualConsole().sendTo(console, { omitJSDOMErrors: true });
+    virtualConsole.removeAllListeners('warn');
+    virtualConsole.on('warn', (...args) => warnings.push(args.join(' ')));
+    virtualConsole.on('jsdomError', error => console.error(error.stack, error.detail));
+
+    const dom = new JSDOM(html, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        url: 'http://localhost/',
+        virtualConsole
+    });
+    const { window } = dom;
+
+    window.structuredClone = structuredClone;
+    window.matchMedia = media => ({ matches: false, media, addEventListener() {}, removeEventListener() {} });
+    window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+    window.HTMLMediaElement.prototype.pause = () => {};
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+
+    before?.(window);
+    SCRIPT.runInContext(dom.getInternalVMContext());
+
+    return {
+        window,
+        warnings,
+        // Top-level classes are script-scoped bindings rather than window properties
+        get: name => window.eval(name),
+        close: () => window.close()
+    };
+}
+
+/**
+ * The demo page's markup without its <script> tag, so tests control loading
+ */
+function pageMarkup() {
+    return fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace(/<script src="script\.js"[^>]*><\/script>/, '');
+}
+
+/**
+ * Copy a value out of the page's realm so strict deep equality compares data, not prototypes
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScript, pageMarkup, plain };
@@ -0,0 +1,87 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, plain } = require('./helpers/dom');
+
+const page = loadScript();
+const KeeperSchedule = page.get('KeeperSchedule');
+const MODES = page.get('LighthouseScene').LIGHT_MODES;
+test.after(() => page.close());
+
+// Local time of day, as the keeper's clock reads it
+const at = (hours, minutes = 0) => new Date(2024, 5, 1, hours, minutes);
+
+test('parses comma or line separated entries into time order', () => {
+    const schedule = KeeperSchedule.parse('18:00 moving, 21:00 emergency\n21:15 moving,07:00 off', MODES);
+
+    assert.deepEqual(plain(schedule.entries), [
+        { time: '07:00', minutes: 420, mode: 'off' },
+        { time: '18:00', minutes: 1080, mode: 'moving' },
+        { time: '21:00', minutes: 1260, mode: 'emergency' },
+        { time: '21:15', minutes: 1275, mode: 'moving' }
+    ]);
+});
+
+test('parses arrays of { time, mode } and pads single-digit hours', () => {
+    const schedule = KeeperSchedule.parse([{ time: '7:05', mode: 'off' }, { time: '23:59', mode: 'manual' }], MODES);
+
+    assert.equal(schedule.toString(), '07:05 off, 23:59 manual');
+    assert.deepEqual(plain(schedule.toJSON()), [{ time: '07:05', mode: 'off' }, { time: '23:59', mode: 'manual' }]);
+});
+
+test('round-trips through toJSON and toString', () => {
+    const schedule = KeeperSchedule.parse('18:00 moving, 07:00 off', MODES);
+
+    assert.equal(KeeperSchedule.parse(schedule.toJSON(), MODES).toString(), schedule.toString());
+    assert.equal(KeeperSchedule.parse(schedule.toString(), MODES).toString(), schedule.toString());
+});
+
+test('treats an empty schedule as no entries', () => {
+    for (const input of ['', '  ', null, undefined, []]) {
+        const schedule = KeeperSchedule.parse(input, MODES);
+        assert.equal(schedule.entries.length, 0);
+        assert.equal(schedule.entryAt(at(12)), null);
+    }
+});
+
+test('rejects bad times and unknown modes', () => {
+    assert.throws(() => KeeperSchedule.parse('24:00 off', MODES), /Invalid schedule time '24:00'/);
+    assert.throws(() => KeeperSchedule.parse('12:60 off', MODES), /Invalid schedule time/);
+    assert.throws(() => KeeperSchedule.parse('noon off', MODES), /Invalid schedule time 'noon'/);
+    assert.throws(() => KeeperSchedule.parse('18:00', MODES), /Unknown light mode 'undefined'/);
+    assert.throws(() => KeeperSchedule.parse('18:00 strobe', MODES), /Unknown light mode 'strobe' at 18:00/);
+    assert.throws(() => KeeperSchedule.parse([null], MODES), /Invalid schedule time/);
+});
+
+test('checks validity without throwing', () => {
+    assert.equal(KeeperSchedule.isValid('18:00 moving', MODES), true);
+    assert.equal(KeeperSchedule.isValid('18:00 moving', ['off']), false);
+    assert.equal(KeeperSchedule.isValid([{ time: '18', mode: 'off' }], MODES), false);
+});
+
+test('finds the entry in force, wrapping round midnight', () => {
+    const schedule = KeeperSchedule.parse('07:00 off, 18:00 moving, 21:00 emergency, 21:15 moving', MODES);
+
+    assert.equal(schedule.entryAt(at(12)).mode, 'off');
+    assert.equal(schedule.entryAt(at(18)).mode, 'moving');
+    assert.equal(schedule.entryAt(at(21, 10)).mode, 'emergency');
+    assert.equal(schedule.entryAt(at(21, 15)).time, '21:15');
+    assert.equal(schedule.entryAt(at(3)).time, '21:15');
+});
+
+test('switches the scene on schedule without saving the mode as a preference', () => {
+    const LighthouseScene = page.get('LighthouseScene');
+    const root = page.window.document.createElement('div');
+    page.window.document.body.append(root);
+    page.window.localStorage.clear();
+
+    const scene = new LighthouseScene(root, { config: { KEEPER: { SCHEDULE: '07:00 off, 21:00 emergency' } } });
+    scene.init();
+    scene.runSchedule(at(21, 30));
+
+    assert.equal(scene.lightMode, 'emergency');
+    assert.equal(scene.getPreferences().lightMode, undefined);
+    scene.destroy();
+    root.remove();
+});
@@ -0,0 +1,260 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, pageMarkup } = require('./helpers/dom');
+
+/**
+ * Record what the script leaves behind: listeners on window, document and media
+ * queries, pending timeouts, intervals and animation frames, and connected observers
+ */
+function instrument(window) {
+    const listeners = new Set();
+    const timers = new Set();
+    const observers = new Set();
+    const { EventTarget } = window;
+    const { addEventListener, removeEventListener } = EventTarget.prototype;
+    const capture = options => typeof options === 'boolean' ? options : Boolean(options?.capture);
+    const tracked = target => target === window || target === window.document || target instanceof MediaQueryList;
+
+    EventTarget.prototype.addEventListener = function (type, handler, options) {
+        if (tracked(this) && !options?.signal?.aborted) {
+            const entry = { target: this, type, handler, capture: capture(options) };
+            listeners.add(entry);
+            options?.signal?.addEventListener('abort', () => listeners.delete(entry));
+        }
+        return addEventListener.call(this, type, handler, options);
+    };
+    EventTarget.prototype.removeEventListener = function (type, handler, options) {
+        listeners.forEach(entry => {
+            if (entry.target === this && entry.type === type && entry.handler === handler && entry.capture === capture(options)) {
+                listeners.delete(entry);
+            }
+        });
+        return removeEventListener.call(this, type, handler, options);
+    };
+
+    const track = (set, clear, prefix) => [
+        (callback, ...args) => {
+            const id = set((...values) => {
+                if (prefix !== 'interval') timers.delete(`${prefix}:${id}`);
+                callback(...values);
+            }, ...args);
+            timers.add(`${prefix}:${id}`);
+            return id;
+        },
+        id => {
+            timers.delete(`${prefix}:${id}`);
+            clear(id);
+        }
+    ];
+    [window.setTimeout, window.clearTimeout] = track(window.setTimeout.bind(window), window.clearTimeout.bind(window), 'timeout');
+    [window.setInterval, window.clearInterval] = track(window.setInterval.bind(window), window.clearInterval.bind(window), 'interval');
+    [window.requestAnimationFrame, window.cancelAnimationFrame] = track(
+        window.requestAnimationFrame.bind(window), window.cancelAnimationFrame.bind(window), 'frame');
+
+    window.IntersectionObserver = class {
+        observe() { observers.add(this); }
+        unobserve() {}
+        disconnect() { observers.delete(this); }
+    };
+
+    class MediaQueryList extends EventTarget {
+        matches = false;
+    }
+    window.matchMedia = media => Object.assign(new MediaQueryList(), { media });
+
+    // jsdom's selector engines add their own document listeners the first time they run
+    window.document.querySelector('*');
+    window.getComputedStyle(window.document.documentElement);
+
+    return {
+        listeners: () => [...listeners].map(({ target, type }) => `${target.constructor.name}:${type}`).sort(),
+        timers: () => [...timers].sort(),
+        observers: () => observers.size
+    };
+}
+
+// Open every overlay and change state so destroy() has the most to undo
+function exercise(scene) {
+    scene.toggleHelp(true);
+    scene.togglePanel(true);
+    scene.toggleModeMenu(true);
+    scene.handleLighthouseClick();
+    scene.setWeather('storm');
+    scene.pause();
+    scene.resume();
+    scene.handleResize();
+}
+
+test('destroy() leaves no listeners, timers, observers or nodes behind', () => {
+    let leaks;
+    const page = loadScript({ before: window => (leaks = instrument(window)) });
+    const { window } = page;
+    const { document } = window;
+    const LighthouseScene = page.get('LighthouseScene');
+
+    const root = document.createElement('div');
+    root.className = 'host';
+    root.setAttribute('style', 'height: 300px;');
+    root.innerHTML = '<p>Fallback</p>';
+    document.body.append(root);
+
+    const before = {
+        listeners: leaks.listeners(),
+        timers: leaks.timers(),
+        nodes: document.getElementsByTagName('*').length,
+        html: root.outerHTML
+    };
+
+    for (let i = 0; i < 5; i++) {
+        const scene = new LighthouseScene(root, {
+            config: { PREFERENCES: { ENABLED: false }, KEEPER: { SCHEDULE: '06:00 moving, 20:00 off' } }
+        });
+        scene.init();
+        exercise(scene);
+
+        assert.equal(scene.lifecycle, 'running');
+        assert.ok(leaks.listeners().length > before.listeners.length, 'scene listens to the page');
+        assert.ok(leaks.timers().length > before.timers.length, 'scene runs timers');
+        assert.ok(leaks.observers() > 0, 'scene observes its elements');
+        assert.ok(scene.isHelpOpen && scene.isPanelOpen && scene.isModeMenuOpen);
+
+        let destroyed = 0;
+        scene.addEventListener('destroy', () => destroyed++);
+        scene.destroy();
+        scene.destroy();
+
+        assert.equal(destroyed, 1);
+        assert.equal(scene.lifecycle, 'destroyed');
+        assert.deepEqual(leaks.listeners(), before.listeners);
+        assert.deepEqual(leaks.timers(), before.timers);
+        assert.equal(leaks.observers(), 0);
+        assert.equal(document.getElementsByTagName('*').length, before.nodes);
+        assert.equal(root.outerHTML, before.html);
+        assert.equal(LighthouseScene.instances.size, 0);
+    }
+
+    page.close();
+});
+
+test('a destroyed scene ignores further lifecycle calls', () => {
+    const page = loadScript();
+    const LighthouseScene = page.get('LighthouseScene');
+    const root = page.window.document.createElement('div');
+    page.window.document.body.append(root);
+
+    const scene = new LighthouseScene(root, { config: { PREFERENCES: { ENABLED: false } } });
+    scene.init();
+    scene.destroy();
+    scene.init();
+    scene.resume();
+
+    assert.equal(scene.lifecycle, 'destroyed');
+    assert.equal(root.childNodes.length, 0);
+    page.close();
+});
+
+test('the page and <lighthouse-scene> elements can be mounted and removed repeatedly', async () => {
+    let leaks;
+    const page = loadScript({ html: pageMarkup(), before: window => (leaks = instrument(window)) });
+    const { window } = page;
+    const { document } = window;
+    const LighthouseScene = page.get('LighthouseScene');
+
+    if (document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+    }
+    assert.equal(window.lighthouseScene?.lifecycle, 'running');
+
+    window.unmountLighthousePage();
+    const baseline = { listeners: leaks.listeners(), timers: leaks.timers(), markup: document.body.innerHTML };
+    assert.equal(LighthouseScene.instances.size, 0);
+
+    for (let i = 0; i < 3; i++) {
+        window.mountLighthousePage();
+        exercise(window.lighthouseScene);
+        window.unmountLighthousePage();
+
+        const element = document.createElement('lighthouse-scene');
+        element.dataset.preferencesEnabled = 'false';
+        document.body.append(element);
+        assert.equal(element.scene.lifecycle, 'running');
+        exercise(element.scene);
+        element.remove();
+    }
+
+    assert.deepEqual(leaks.listeners(), baseline.listeners);
+    assert.deepEqual(leaks.timers(), baseline.timers);
+    assert.equal(leaks.observers(), 0);
+    assert.equal(document.body.innerHTML, baseline.markup);
+    assert.equal(LighthouseScene.instances.size, 0);
+    page.close();
+});
+
+test('scenes survive a page entering the back/forward cache and are destroyed on unload', () => {
+    const page = loadScript();
+    const { window } = page;
+    const LighthouseScene = page.get('LighthouseScene');
+    const root = window.document.createElement('div');
+    window.document.body.append(root);
+
+    const scene = new LighthouseScene(root, { config: { PREFERENCES: { ENABLED: false } } });
+    scene.init();
+
+    window.dispatchEvent(new window.PageTransitionEvent('pagehide', { persisted: true }));
+    assert.equal(scene.lifecycle, 'running');
+
+    window.dispatchEvent(new window.PageTransitionEvent('pagehide', { persisted: false }));
+    assert.equal(scene.lifecycle, 'destroyed');
+    assert.equal(LighthouseScene.instances.size, 0);
+    page.close();
+});
+
+test('destroying a scene stops its running export', async () => {
+    let leaks;
+    const page = loadScript({
+        before: window => {
+            leaks = instrument(window);
+            // jsdom cannot rasterize: each frame takes a moment to draw and encodes to an empty PNG
+            window.HTMLCanvasElement.prototype.getContext = () => ({ clearRect() {}, drawImage() {} });
+            window.HTMLCanvasElement.prototype.toBlob = callback => callback(new window.Blob());
+            window.HTMLImageElement.prototype.decode = () => new Promise(resolve => setTimeout(resolve, 5));
+        }
+    });
+    const { window } = page;
+    const LighthouseScene = page.get('LighthouseScene');
+
+    // The page controls mount on load, which happens while the export runs
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+    }
+
+    const root = window.document.createElement('div');
+    root.setAttribute('style', 'height: 300px;');
+    Object.defineProperties(root, { clientWidth: { value: 320 }, clientHeight: { value: 180 } });
+    window.document.body.append(root);
+    const before = { listeners: leaks.listeners(), timers: leaks.timers(), html: root.outerHTML };
+
+    const scene = new LighthouseScene(root, { config: { PREFERENCES: { ENABLED: false } } });
+    scene.init();
+
+    let progress = 0;
+    const started = new Promise(resolve => scene.addEventListener('exportprogress', () => {
+        if (++progress === 2) resolve();
+    }));
+    // Square frames relay the scene out at 1:1 for the export
+    const exporting = scene.export({ format: 'frames', duration: 5, fps: 10, width: 200, height: 200 });
+    await started;
+    assert.equal(root.style.width, '180px');
+
+    scene.destroy();
+    const framesBeforeDestroy = progress;
+    await assert.rejects(exporting, { name: 'AbortError' });
+
+    assert.equal(progress, framesBeforeDestroy);
+    assert.equal(root.outerHTML, before.html);
+    assert.deepEqual(leaks.listeners(), before.listeners);
+    assert.deepEqual(leaks.timers(), before.timers);
+    page.close();
+});
@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/dom');
+
+const page = loadScript();
+const LightCharacteristic = page.get('LightCharacteristic');
+test.after(() => page.close());
+
+const durations = light => Array.from(light.phases, phase => [phase.on, +phase.duration.toFixed(3)]);
+
+test('parses a group flashing light into phases that fill its period', () => {
+    const light = LightCharacteristic.parse('Fl(3) W 10s');
+
+    assert.equal(light.type, 'Fl');
+    assert.equal(light.group, '3');
+    assert.equal(light.colorName, 'white');
+    assert.equal(light.period, 10);
+    assert.deepEqual(durations(light), [
+        [true, 0.5], [false, 1], [true, 0.5], [false, 1], [true, 0.5], [false, 6.5]
+    ]);
+});
+
+test('accepts chart notation variations', () => {
+    assert.equal(LightCharacteristic.parse('fl. r 5s').colorName, 'red');
+    assert.equal(LightCharacteristic.parse(' LFl G 10 s ').type, 'LFl');
+    assert.equal(LightCharacteristic.parse('Fl(2+1) 15s').period, 15);
+    assert.equal(LightCharacteristic.parse('Mo(U) 15s').period, 15);
+});
+
+test('lights occulting and isophase characteristics for the right share of the period', () => {
+    assert.deepEqual(durations(LightCharacteristic.parse('Oc(2) 8s')), [
+        [false, 1], [true, 1], [false, 1], [true, 5]
+    ]);
+    assert.deepEqual(durations(LightCharacteristic.parse('Iso 4s')), [[true, 2], [false, 2]]);
+});
+
+test('keeps quick flashes continuous without a period and fits them to one when given', () => {
+    assert.deepEqual(durations(LightCharacteristic.parse('Q')), [[true, 0.3], [false, 0.7]]);
+    assert.deepEqual(durations(LightCharacteristic.parse('VQ')), [[true, 0.2], [false, 0.3]]);
+    assert.deepEqual(durations(LightCharacteristic.parse('Q 2s')), [[true, 0.3], [false, 1.7]]);
+    assert.equal(LightCharacteristic.parse('VQ(3) 5s').period, 5);
+});
+
+test('fixed lights are always lit', () => {
+    const light = LightCharacteristic.parse('F R');
+
+    assert.equal(light.intensityAt(0), 1);
+    assert.equal(light.intensityAt(123.4), 1);
+});
+
+test('reports intensity through the cycle', () => {
+    const light = LightCharacteristic.parse('Fl 5s');
+
+    assert.equal(light.intensityAt(0.25), 1);
+    assert.equal(light.intensityAt(2), 0);
+    assert.equal(light.intensityAt(5.25), 1);
+    assert.equal(light.intensityAt(-4.75), 1);
+    assert.ok(light.intensityAt(0.05, 0.1) < 1);
+});
+
+test('rejects notations it does not recognise', () => {
+    for (const notation of ['', 'Flash 10s', 'Fl(3) B 10s', 'Fl 10', 'Fl(3 10s']) {
+        assert.throws(() => LightCharacteristic.parse(notation), /Unrecognised light characteristic/, notation);
+    }
+});
+
+test('rejects characteristics without a period', () => {
+    assert.throws(() => LightCharacteristic.parse('Fl(2)'), /needs a period/);
+    assert.throws(() => LightCharacteristic.parse('Iso'), /needs a period/);
+});
+
+test('rejects characteristics that do not fit their period', () => {
+    assert.throws(() => LightCharacteristic.parse('Fl(5) 4s'), /does not fit in a 4s period/);
+    assert.throws(() => LightCharacteristic.parse('Q 0.2s'), /does not fit in a 0.2s period/);
+    assert.throws(() => LightCharacteristic.parse('VQ 0.2s'), /does not fit in a 0.2s period/);
+});
+
+test('rejects invalid flash groups and Morse letters', () => {
+    assert.throws(() => LightCharacteristic.parse('Fl(0) 10s'), /Invalid flash group/);
+    assert.throws(() => LightCharacteristic.parse('Fl(2+x) 10s'), /Invalid flash group/);
+    assert.throws(() => LightCharacteristic.parse('Mo(U1) 10s'), /Invalid Morse letters/);
+});
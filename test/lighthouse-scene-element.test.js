@@ -0,0 +1,48 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/dom');
+
+const page = loadScript();
+const { document, localStorage } = page.window;
+const SAVED = JSON.stringify({ version: 1, theme: 'light', lightMode: 'off' });
+
+test.after(() => page.close());
+test.beforeEach(() => localStorage.setItem('lighthouse-scene:preferences', SAVED));
+
+function mount(attributes) {
+    const element = document.createElement('lighthouse-scene');
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    document.body.append(element);
+    return element;
+}
+
+test('starts from its attributes and keeps them', () => {
+    const element = mount({ theme: 'dark', 'light-mode': 'emergency' });
+
+    assert.equal(element.scene.theme, 'dark');
+    assert.equal(element.scene.lightMode, 'emergency');
+    assert.equal(element.getAttribute('theme'), 'dark');
+    assert.equal(element.getAttribute('light-mode'), 'emergency');
+    element.remove();
+});
+
+test('neither reads nor writes saved preferences unless opted in', () => {
+    const element = mount({});
+    assert.equal(element.scene.lightMode, 'moving');
+
+    element.setAttribute('light-mode', 'manual');
+    assert.equal(element.scene.lightMode, 'manual');
+    assert.equal(localStorage.getItem('lighthouse-scene:preferences'), SAVED);
+    element.remove();
+});
+
+test('uses saved preferences for unset attributes when opted in', () => {
+    const element = mount({ theme: 'dark', 'data-preferences-enabled': 'true' });
+
+    assert.equal(element.scene.theme, 'dark');
+    assert.equal(element.scene.lightMode, 'off');
+    assert.equal(element.getAttribute('light-mode'), 'off');
+    element.remove();
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/dom');
+
+const page = loadScript();
+const LunarCalculator = page.get('LunarCalculator');
+test.after(() => page.close());
+
+// Principal phases of January 2024 (UTC)
+const PHASES = [
+    ['2024-01-11T11:57:00Z', 0, 0, 'New Moon'],
+    ['2024-01-18T03:53:00Z', 0.25, 0.5, 'First Quarter'],
+    ['2024-01-25T17:54:00Z', 0.5, 1, 'Full Moon'],
+    ['2024-02-02T23:18:00Z', 0.75, 0.5, 'Last Quarter']
+];
+
+test('computes phase and illuminated fraction at the principal phases', () => {
+    for (const [date, phase, fraction, name] of PHASES) {
+        const illumination = LunarCalculator.getIllumination(new Date(date));
+
+        assert.ok(Math.abs(illumination.phase - phase) < 0.02, `${name} phase ${illumination.phase}`);
+        assert.ok(Math.abs(illumination.fraction - fraction) < 0.02, `${name} fraction ${illumination.fraction}`);
+        assert.equal(LunarCalculator.getPhaseName(illumination.phase), name);
+    }
+});
+
+test('names the phases in between and wraps back to new moon', () => {
+    assert.equal(LunarCalculator.getPhaseName(0.125), 'Waxing Crescent');
+    assert.equal(LunarCalculator.getPhaseName(0.375), 'Waxing Gibbous');
+    assert.equal(LunarCalculator.getPhaseName(0.625), 'Waning Gibbous');
+    assert.equal(LunarCalculator.getPhaseName(0.875), 'Waning Crescent');
+    assert.equal(LunarCalculator.getPhaseName(0.99), 'New Moon');
+});
+
+test('places a full moon high in the south at midnight', () => {
+    const { altitude, azimuth } = LunarCalculator.getPosition(new Date('2024-01-26T00:10:00Z'), 51.5074, -0.1278);
+
+    assert.ok(altitude > 55, `altitude ${altitude}`);
+    assert.ok(Math.abs(azimuth - 180) < 20, `azimuth ${azimuth}`);
+});
+
+test('keeps the moon within its orbital distance range', () => {
+    for (let days = 0; days < 30; days += 0.5) {
+        const { distance } = LunarCalculator.coordinates(days);
+        assert.ok(distance > 364000 && distance < 406000, `distance ${distance}`);
+    }
+});
+
+test('draws the lit part of the disc on the correct side', () => {
+    // Waxing moons are lit on the right (sweep 1), waning moons on the left
+    assert.match(LunarCalculator.getPhasePath(0.1), /^M 0 -1 A 1 1 0 0 1 0 1 A 0\.8090 1 0 0 0 0 -1 Z$/);
+    assert.match(LunarCalculator.getPhasePath(0.9), /^M 0 -1 A 1 1 0 0 0 0 1 A 0\.8090 1 0 0 1 0 -1 Z$/);
+    assert.match(LunarCalculator.getPhasePath(0.25), / A 0\.0000 1 /);
+    assert.match(LunarCalculator.getPhasePath(0.5), / A 1\.0000 1 0 0 0 0 -1 Z$/);
+});
@@ -0,0 +1,194 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, plain } = require('./helpers/dom');
+
+const page = loadScript();
+const PreferenceStore = page.get('PreferenceStore');
+const MemoryStorage = page.get('MemoryStorage');
+const { localStorage } = page.window;
+const KEY = 'lighthouse-scene:test';
+
+test.after(() => page.close());
+test.beforeEach(() => {
+    localStorage.clear();
+    page.warnings.splice(0);
+});
+
+const saved = () => JSON.parse(localStorage.getItem(KEY));
+
+test('saves preferences as one versioned record and reads them back', () => {
+    const store = new PreferenceStore(KEY);
+    assert.equal(store.set('theme', 'dark'), true);
+    assert.equal(store.set('volume', 0.25), true);
+
+    assert.deepEqual(saved(), { version: PreferenceStore.VERSION, theme: 'dark', volume: 0.25 });
+    assert.deepEqual(plain(new PreferenceStore(KEY).getAll()), { theme: 'dark', volume: 0.25 });
+});
+
+test('validates every preference against the schema', () => {
+    const store = new PreferenceStore(KEY);
+    const valid = {
+        theme: 'auto',
+        lightMode: 'manual',
+        lampIntensity: 0.4,
+        schedule: [{ time: '18:00', mode: 'moving' }, { time: '07:00', mode: 'off' }],
+        volume: 1,
+        reducedMotion: false,
+        weather: 'fog'
+    };
+    const invalid = {
+        theme: 'neon',
+        lightMode: 'strobe',
+        lampIntensity: 1.5,
+        schedule: [{ time: '25:00', mode: 'moving' }],
+        volume: '0.5',
+        reducedMotion: 'yes',
+        weather: 'snow'
+    };
+
+    Object.entries(valid).forEach(([name, value]) => assert.equal(store.set(name, value), true, name));
+    Object.entries(invalid).forEach(([name, value]) => assert.equal(store.set(name, value), false, name));
+    assert.equal(store.set('unknown', 1), false);
+
+    assert.deepEqual(plain(store.getAll()), valid);
+    assert.equal(page.warnings.length, 8);
+});
+
+test('accepts exactly the scene light modes', () => {
+    const LighthouseScene = page.get('LighthouseScene');
+
+    LighthouseScene.LIGHT_MODES.forEach(mode => assert.ok(PreferenceStore.SCHEMA.lightMode(mode), mode));
+    assert.ok(PreferenceStore.SCHEMA.schedule(LighthouseScene.LIGHT_MODES.map(mode => ({ time: '12:00', mode }))));
+});
+
+test('removes a preference set to undefined', () => {
+    const store = new PreferenceStore(KEY);
+    store.set('volume', 0.5);
+    store.set('volume', undefined);
+
+    assert.equal(store.get('volume'), undefined);
+    assert.deepEqual(saved(), { version: PreferenceStore.VERSION });
+});
+
+test('drops invalid saved values with a warning and keeps the rest', () => {
+    localStorage.setItem(KEY, JSON.stringify({ version: 1, theme: 'dark', volume: 7 }));
+    const store = new PreferenceStore(KEY);
+
+    assert.deepEqual(plain(store.getAll()), { theme: 'dark' });
+    assert.match(page.warnings[0], /Ignoring saved preference 'volume'/);
+});
+
+test('ignores unreadable and non-object records', () => {
+    localStorage.setItem(KEY, '{not json');
+    assert.deepEqual(plain(new PreferenceStore(KEY).getAll()), {});
+    assert.match(page.warnings[0], /unreadable saved preferences/);
+
+    localStorage.setItem(KEY, '[1, 2]');
+    assert.deepEqual(plain(new PreferenceStore(KEY).getAll()), {});
+});
+
+test('ignores records from a newer version without overwriting them', () => {
+    const newer = JSON.stringify({ version: PreferenceStore.VERSION + 1, theme: 'dark' });
+    localStorage.setItem(KEY, newer);
+
+    assert.deepEqual(plain(new PreferenceStore(KEY).getAll()), {});
+    assert.equal(localStorage.getItem(KEY), newer);
+    assert.match(page.warnings[0], /newer than/);
+});
+
+test('migrates the legacy reduced-motion key into the record', () => {
+    localStorage.setItem(PreferenceStore.LEGACY_KEYS.REDUCED_MOTION, 'on');
+    const store = new PreferenceStore(KEY);
+
+    assert.equal(store.get('reducedMotion'), true);
+    assert.deepEqual(saved(), { version: PreferenceStore.VERSION, reducedMotion: true });
+    assert.equal(localStorage.getItem(PreferenceStore.LEGACY_KEYS.REDUCED_MOTION), null);
+});
+
+test('drops an unrecognised legacy value during migration', () => {
+    localStorage.setItem(PreferenceStore.LEGACY_KEYS.REDUCED_MOTION, 'maybe');
+
+    assert.deepEqual(plain(new PreferenceStore(KEY).getAll()), {});
+    assert.deepEqual(saved(), { version: PreferenceStore.VERSION });
+});
+
+test('runs each migration in turn', () => {
+    assert.equal(PreferenceStore.MIGRATIONS.length, PreferenceStore.VERSION);
+    assert.deepEqual(plain(PreferenceStore.MIGRATIONS[0]({ version: 0, legacyReducedMotion: 'off', theme: 'day' })),
+        { version: 0, reducedMotion: false, theme: 'day' });
+});
+
+test('clears every saved preference', () => {
+    const store = new PreferenceStore(KEY);
+    store.set('theme', 'dark');
+    store.clear();
+
+    assert.deepEqual(plain(store.getAll()), {});
+    assert.equal(localStorage.getItem(KEY), null);
+});
+
+test('keeps preferences in memory only when persistence is off', () => {
+    const store = new PreferenceStore(KEY, false);
+    store.set('theme', 'dark');
+
+    assert.ok(store.storage instanceof MemoryStorage);
+    assert.equal(store.get('theme'), 'dark');
+    assert.equal(localStorage.getItem(KEY), null);
+});
+
+test('lets the page options and data attributes beat saved preferences', () => {
+    const LighthouseScene = page.get('LighthouseScene');
+    const root = page.window.document.createElement('div');
+    root.dataset.weather = 'overcast';
+    page.window.document.body.append(root);
+    localStorage.setItem('lighthouse-scene:preferences',
+        JSON.stringify({ version: PreferenceStore.VERSION, theme: 'light', lightMode: 'off', weather: 'rain', volume: 0.2 }));
+
+    const scene = new LighthouseScene(root, { theme: 'dark' });
+    scene.init();
+
+    assert.equal(scene.theme, 'dark');
+    assert.equal(scene.lightMode, 'off'); // Not set by the page, so the saved choice fills it in
+    assert.equal(scene.weather.state, 'overcast');
+    assert.deepEqual(plain(scene.getPreferences()), { theme: 'light', lightMode: 'off', weather: 'rain', volume: 0.2 });
+    scene.destroy();
+    root.remove();
+});
+
+test('restoring a snapshot leaves saved preferences untouched', () => {
+    const LighthouseScene = page.get('LighthouseScene');
+    const root = page.window.document.createElement('div');
+    page.window.document.body.append(root);
+    const record = JSON.stringify({ version: PreferenceStore.VERSION, theme: 'light', lightMode: 'off' });
+    localStorage.setItem('lighthouse-scene:preferences', record);
+
+    const scene = new LighthouseScene(root);
+    scene.init();
+    assert.equal(scene.restore('#seed=5&theme=dark&lightMode=emergency&weather=storm'), true);
+
+    assert.equal(scene.theme, 'dark');
+    assert.equal(scene.lightMode, 'emergency');
+    assert.equal(localStorage.getItem('lighthouse-scene:preferences'), record);
+
+    scene.setLightMode('moving');
+    assert.equal(scene.getPreferences().lightMode, 'moving', 'the user\'s own choices are still saved');
+    scene.destroy();
+    root.remove();
+});
+
+test('does not save the light switching on by itself in fog', () => {
+    const LighthouseScene = page.get('LighthouseScene');
+    const root = page.window.document.createElement('div');
+    page.window.document.body.append(root);
+
+    const scene = new LighthouseScene(root, { lightMode: 'off' });
+    scene.init();
+    scene.setWeather('fog');
+
+    assert.equal(scene.lightMode, 'moving');
+    assert.deepEqual(plain(scene.getPreferences()), { weather: 'fog' });
+    scene.destroy();
+    root.remove();
+});
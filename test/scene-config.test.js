@@ -0,0 +1,110 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript, plain } = require('./helpers/dom');
+
+const page = loadScript();
+const SceneConfig = page.get('SceneConfig');
+test.after(() => page.close());
+test.beforeEach(() => page.warnings.splice(0));
+
+test('resolves to a copy of the defaults without overrides', () => {
+    const config = SceneConfig.resolve();
+
+    assert.deepEqual(plain(config), plain(SceneConfig.DEFAULTS));
+    assert.notEqual(config.STARS, SceneConfig.DEFAULTS.STARS);
+    assert.deepEqual(page.warnings, []);
+});
+
+test('applies options over data attributes over defaults', () => {
+    const config = SceneConfig.resolve(
+        { starsCountDesktop: '300', audioVolume: '0.3' },
+        { STARS: { COUNT_DESKTOP: 250 } }
+    );
+
+    assert.equal(config.STARS.COUNT_DESKTOP, 250);
+    assert.equal(config.AUDIO.VOLUME, 0.3);
+    assert.equal(config.STARS.COUNT_MOBILE, SceneConfig.DEFAULTS.STARS.COUNT_MOBILE);
+});
+
+test('merges nested overrides in place', () => {
+    const target = { A: { B: 1, C: 2 }, D: 'x' };
+
+    assert.equal(SceneConfig.merge(target, { A: { C: 3 } }), target);
+    assert.deepEqual(target, { A: { B: 1, C: 3 }, D: 'x' });
+});
+
+test('warns about and ignores unknown keys', () => {
+    const config = SceneConfig.resolve({}, { STARS: { COUNT_ALL: 5 }, NOPE: true });
+
+    assert.equal('COUNT_ALL' in config.STARS, false);
+    assert.equal('NOPE' in config, false);
+    assert.deepEqual(page.warnings, [
+        "Unknown scene config key 'STARS.COUNT_ALL'",
+        "Unknown scene config key 'NOPE'"
+    ]);
+});
+
+test('keeps a section when an override replaces it with a value', () => {
+    const config = SceneConfig.resolve({}, { STARS: 5 });
+
+    assert.deepEqual(plain(config.STARS), plain(SceneConfig.DEFAULTS.STARS));
+    assert.match(page.warnings[0], /'STARS' expects an object/);
+});
+
+test('clamps numbers to their allowed range', () => {
+    assert.equal(SceneConfig.validate('AUDIO.VOLUME', 4, 0.5), 1);
+    assert.equal(SceneConfig.validate('STARS.COUNT_DESKTOP', -10, 200), 0);
+    assert.equal(SceneConfig.validate('STARS.COUNT_DESKTOP', 500, 200), 500);
+    assert.match(page.warnings[0], /'AUDIO.VOLUME' = 4 is outside \[0, 1\]; using 1/);
+});
+
+test('falls back to the default for values of the wrong type', () => {
+    assert.equal(SceneConfig.validate('AUDIO.VOLUME', NaN, 0.5), 0.5);
+    assert.equal(SceneConfig.validate('AUDIO.VOLUME', '0.7', 0.5), 0.5);
+    assert.equal(SceneConfig.validate('SKY.CATALOGUE', 'yes', true), true);
+    assert.equal(SceneConfig.validate('RENDERER', 3, 'dom'), 'dom');
+    assert.equal(page.warnings.length, 4);
+});
+
+test('accepts only listed choices for string settings', () => {
+    assert.equal(SceneConfig.validate('RENDERER', 'canvas', 'dom'), 'canvas');
+    assert.equal(SceneConfig.validate('RENDERER', 'webgl', 'dom'), 'dom');
+    assert.match(page.warnings[0], /expects one of dom, canvas/);
+});
+
+test('reads data attributes as typed overrides', () => {
+    const overrides = SceneConfig.fromDataset({
+        starsCountDesktop: '300',
+        skyCatalogue: '',
+        shipsEnabled: 'false',
+        lighthouseScene: '',
+        theme: 'storm'
+    });
+
+    assert.deepEqual(plain(overrides), {
+        STARS: { COUNT_DESKTOP: 300 },
+        SKY: { CATALOGUE: true },
+        SHIPS: { ENABLED: false }
+    });
+});
+
+test('turns blank numeric attributes into a warning rather than zero', () => {
+    const config = SceneConfig.resolve({ starsCountDesktop: ' ' });
+
+    assert.equal(config.STARS.COUNT_DESKTOP, SceneConfig.DEFAULTS.STARS.COUNT_DESKTOP);
+    assert.match(page.warnings[0], /'STARS.COUNT_DESKTOP' expects a number/);
+});
+
+test('warns about misspelt attributes within a config section', () => {
+    SceneConfig.fromDataset({ starsCountAll: '5', unrelated: 'x' });
+
+    assert.deepEqual(page.warnings, ["Unknown scene config attribute 'data-stars-count-all'"]);
+});
+
+test('maps config paths to dataset keys', () => {
+    assert.equal(SceneConfig.toDatasetKey('STARS.COUNT_DESKTOP'), 'starsCountDesktop');
+    assert.equal(SceneConfig.toDatasetKey('RENDERER'), 'renderer');
+    assert.ok(SceneConfig.leafPaths(SceneConfig.DEFAULTS).includes('LIGHTHOUSE.MODES.MANUAL.KEY_STEP'));
+});
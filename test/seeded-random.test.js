@@ -0,0 +1,54 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/dom');
+
+const page = loadScript();
+const SeededRandom = page.get('SeededRandom');
+test.after(() => page.close());
+
+const take = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('repeats the same sequence for the same seed', () => {
+    assert.deepEqual(take(new SeededRandom(42), 20), take(new SeededRandom(42), 20));
+    assert.deepEqual(take(new SeededRandom('harbour'), 20), take(new SeededRandom('harbour'), 20));
+});
+
+test('gives different sequences for different seeds', () => {
+    assert.notDeepEqual(take(new SeededRandom(1), 5), take(new SeededRandom(2), 5));
+    assert.notDeepEqual(take(new SeededRandom('a'), 5), take(new SeededRandom('b'), 5));
+});
+
+test('returns values in [0, 1) spread across the range', () => {
+    const values = take(new SeededRandom(7), 10000);
+    const buckets = new Array(10).fill(0);
+    values.forEach(value => {
+        assert.ok(value >= 0 && value < 1, `value ${value}`);
+        buckets[Math.floor(value * 10)]++;
+    });
+
+    buckets.forEach(count => assert.ok(count > 900 && count < 1100, `bucket ${count}`));
+});
+
+test('normalizes numeric seeds to 32-bit unsigned integers', () => {
+    assert.equal(SeededRandom.normalize(42), 42);
+    assert.equal(SeededRandom.normalize(42.9), 42);
+    assert.equal(SeededRandom.normalize(-1), 0xffffffff);
+    assert.equal(SeededRandom.normalize(2 ** 32 + 5), 5);
+    assert.equal(SeededRandom.normalize(' 1234 '), 1234);
+});
+
+test('hashes other seeds with FNV-1a', () => {
+    assert.equal(SeededRandom.hash(''), 0x811c9dc5);
+    assert.equal(SeededRandom.hash('a'), 0xe40c292c);
+    assert.equal(SeededRandom.normalize('foobar'), 0xbf9cf968);
+    assert.equal(SeededRandom.normalize(NaN), SeededRandom.hash('NaN'));
+});
+
+test('picks a random seed when none is given', () => {
+    const random = new SeededRandom();
+
+    assert.ok(Number.isInteger(random.seed) && random.seed >= 0 && random.seed < 2 ** 32);
+    assert.equal(random.state, random.seed);
+});
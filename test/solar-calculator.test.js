@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/dom');
+
+const page = loadScript();
+const SolarCalculator = page.get('SolarCalculator');
+test.after(() => page.close());
+
+const LONDON = [51.5074, -0.1278];
+const SYDNEY = [-33.8688, 151.2093];
+const TROMSO = [69.6492, 18.9553];
+
+// Almanac times are good to about a minute; allow a little more
+function assertNear(actual, expectedIso, minutes = 3) {
+    const offset = Math.abs(actual.getTime() - Date.parse(expectedIso)) / 60000;
+    assert.ok(offset <= minutes, `${actual.toISOString()} is ${offset.toFixed(1)} min from ${expectedIso}`);
+}
+
+test('converts between dates and J2000 day numbers', () => {
+    assert.equal(SolarCalculator.toDays(new Date(Date.UTC(2000, 0, 1, 12))), 0);
+    assert.equal(SolarCalculator.fromJulian(2451545).toISOString(), '2000-01-01T12:00:00.000Z');
+});
+
+test('finds sunrise and sunset on the northern summer solstice', () => {
+    const times = SolarCalculator.getTimes(new Date('2024-06-21T12:00:00Z'), ...LONDON);
+
+    assertNear(times.sunrise, '2024-06-21T03:43:00Z');
+    assertNear(times.sunset, '2024-06-21T20:21:00Z');
+    assertNear(times.solarNoon, '2024-06-21T12:02:00Z');
+});
+
+test('orders twilight around sunrise and sunset', () => {
+    const times = SolarCalculator.getTimes(new Date('2024-06-21T12:00:00Z'), ...LONDON);
+    const order = ['nauticalDawn', 'civilDawn', 'sunrise', 'solarNoon', 'sunset', 'civilDusk', 'nauticalDusk'];
+
+    order.slice(1).forEach((event, i) => {
+        assert.ok(times[order[i]] < times[event], `${order[i]} before ${event}`);
+    });
+});
+
+test('works in the southern hemisphere and east of Greenwich', () => {
+    const times = SolarCalculator.getTimes(new Date('2024-12-21T02:00:00Z'), ...SYDNEY);
+
+    assertNear(times.sunrise, '2024-12-20T18:41:00Z');
+    assertNear(times.sunset, '2024-12-21T09:05:00Z');
+});
+
+test('reports polar night and midnight sun as missing events', () => {
+    const winter = SolarCalculator.getTimes(new Date('2024-12-21T12:00:00Z'), ...TROMSO);
+    assert.equal(winter.sunrise, null);
+    assert.equal(winter.sunset, null);
+    assert.ok(winter.civilDawn instanceof page.window.Date);
+
+    const summer = SolarCalculator.getTimes(new Date('2024-06-21T12:00:00Z'), ...TROMSO);
+    assert.equal(summer.sunrise, null);
+    assert.equal(summer.nauticalDusk, null);
+});
+
+test('puts the sun high and due south at a northern summer noon', () => {
+    const { altitude, azimuth } = SolarCalculator.getPosition(new Date('2024-06-21T12:02:00Z'), ...LONDON);
+
+    assert.ok(Math.abs(altitude - 61.9) < 0.5, `altitude ${altitude}`);
+    assert.ok(Math.abs(azimuth - 180) < 2, `azimuth ${azimuth}`);
+});
+
+test('puts the sun below the horizon at midnight', () => {
+    const { altitude } = SolarCalculator.getPosition(new Date('2024-12-21T00:00:00Z'), ...LONDON);
+
+    assert.ok(altitude < -50, `altitude ${altitude}`);
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScript } = require('./helpers/dom');
+
+const page = loadScript();
+const LunarCalculator = page.get('LunarCalculator');
+test.after(() => page.close());
+
+const LONGITUDE = -0.1278;
+const HOUR = 3600000;
+
+// Levels every 5 minutes from start for the given number of hours
+function sample(start, hours, lag = 0) {
+    return Array.from({ length: hours * 12 + 1 }, (_, i) => {
+        const date = new Date(Date.parse(start) + i * HOUR / 12);
+        return { date, ...LunarCalculator.getTide(date, LONGITUDE, lag) };
+    });
+}
+
+const highWaters = samples => samples.filter((point, i) =>
+    i > 0 && i < samples.length - 1 && point.level > samples[i - 1].level && point.level >= samples[i + 1].level);
+
+test('keeps the level between low and high water', () => {
+    sample('2024-01-20T00:00:00Z', 72).forEach(({ level }) => assert.ok(level >= -1 && level <= 1, `level ${level}`));
+});
+
+test('has two high waters about 12h25m apart each lunar day', () => {
+    const highs = highWaters(sample('2024-01-20T00:00:00Z', 25));
+    assert.equal(highs.length, 2);
+
+    const interval = (highs[1].date - highs[0].date) / HOUR;
+    assert.ok(Math.abs(interval - 12.42) < 0.25, `interval ${interval}h`);
+});
+
+test('is high water when the moon crosses the meridian without a lag', () => {
+    const samples = sample('2024-01-25T12:00:00Z', 24);
+    const transit = samples.reduce((best, point) => {
+        const { altitude } = LunarCalculator.getPosition(point.date, 51.5074, LONGITUDE);
+        return altitude > best.altitude ? { ...point, altitude } : best;
+    }, { altitude: -Infinity });
+
+    assert.ok(transit.level > 0.95, `level ${transit.level} at transit`);
+});
+
+test('delays the tide by the lunitidal interval', () => {
+    const date = new Date('2024-01-22T06:00:00Z');
+    const later = new Date(date.getTime() + 2 * HOUR);
+
+    assert.equal(LunarCalculator.getTide(later, LONGITUDE, 2).level, LunarCalculator.getTide(date, LONGITUDE).level);
+});
+
+test('reports whether the tide is rising', () => {
+    const samples = sample('2024-01-20T00:00:00Z', 13);
+
+    samples.slice(1, -1).forEach((point, i) => {
+        const change = samples[i + 2].level - samples[i].level;
+        if (Math.abs(change) > 0.01) assert.equal(point.rising, change > 0, point.date.toISOString());
+    });
+});
+
+test('gives bigger spring tides at full moon than neap tides at the quarter', () => {
+    const range = samples => Math.max(...samples.map(point => point.level));
+
+    const springs = range(sample('2024-01-25T06:00:00Z', 13));
+    const neaps = range(sample('2024-01-18T00:00:00Z', 13));
+    assert.ok(springs > 0.95, `springs ${springs}`);
+    assert.ok(neaps < 0.5, `neaps ${neaps}`);
+});